@@ -1,14 +1,35 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { ThemeProvider } from './components/Themes+Styles.jsx';
 import AstraApp from './components/AstraApp.jsx';
+import ConfigErrorView from './components/ConfigErrorView.jsx';
+import { loadRuntimeConfig } from './components/RuntimeConfig.jsx';
+import AuthManager from './components/AuthManager.jsx';
 import './App.css';
 
 function App() {
+  // The app renders only once the runtime configuration has loaded and validated
+  const [config, setConfig] = useState({ status: 'loading', error: null });
+
+  const load = useCallback(() => {
+    setConfig({ status: 'loading', error: null });
+    loadRuntimeConfig()
+      // Picks up a magic link / OAuth redirect before the first backend call
+      .then(() => AuthManager.shared.initialize())
+      .then(() => setConfig({ status: 'ready', error: null }))
+      .catch(error => {
+        console.log(`❌ ${error.message}`);
+        setConfig({ status: 'error', error });
+      });
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
   return (
     <ThemeProvider>
-      <AstraApp />
+      {config.status === 'ready' && <AstraApp />}
+      {config.status === 'error' && <ConfigErrorView error={config.error} onRetry={load} />}
     </ThemeProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Mic, ArrowUp, Square, Edit3, Sparkles, FileText, Search, Stethoscope, X, ExternalLink } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo, useContext } from 'react';
+import { Mic, ArrowUp, Square, Edit3, Sparkles, FileText, Search, Stethoscope, X, ExternalLink, ChevronLeft, ChevronRight, RefreshCw, ImagePlus, Mail, LogOut, Pin, PinOff, MoreHorizontal, Pencil, Folder, FolderPlus, Download, Upload, Trash2, RotateCcw, Copy, Check, WrapText } from 'lucide-react';
 
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
@@ -7,14 +7,28 @@ import remarkMath from 'remark-math';
 import rehypeSlug from 'rehype-slug';
 import rehypeAutolinkHeadings from 'rehype-autolink-headings';
 import rehypeHighlight from 'rehype-highlight';
-// import rehypeKatex from 'rehype-katex'; // <-- requires `katex` package + CSS
+import rehypeKatex from 'rehype-katex';
 import rehypeSanitize from 'rehype-sanitize';
-import { visit } from 'unist-util-visit';
-import mermaid from 'mermaid';
+import { visit, SKIP } from 'unist-util-visit';
 import rehypeRaw from 'rehype-raw';
-
-// If you enable KaTeX, also:
-// import 'katex/dist/katex.min.css';
+import PerplexityClient from './PerplexityClient';
+import { buildConversationContext } from './ConversationContext';
+import { createMessage } from './ChatSchema';
+import { activeThread, appendMessage, siblingsOf, selectBranch, revealMessage } from './ConversationTree';
+import { isMockBackendEnabled } from './MockBackend';
+import { getRuntimeConfig, subscribeToConfig } from './RuntimeConfig';
+import { useImageInputManager, ImagePicker, MAX_ATTACHED_IMAGES } from './ImageInputManager';
+import { detectPHI, redactPHI, summarizePHI, isPHIModeEnabled, PHI_TYPES } from './PHIDetector';
+import { BackendError, ErrorKind, classifyError, errorPresentation } from './BackendError';
+import { useAuth } from './AuthManager';
+import { useChatHistoryManager, groupChatSessions, TRASH_RETENTION_DAYS } from './ChatHistoryManager';
+import { SyncStatus } from './ChatSync';
+import { SEARCH_DATE_RANGES } from './ChatSearchIndex';
+import { EXPORT_FORMATS } from './ChatExport';
+import MermaidDiagram from './MermaidDiagram';
+import { useMermaidBlocks, PENDING_LANGUAGE } from './MermaidBlocks';
+
+import 'katex/dist/katex.min.css';
 
 /* =========================
    THEME
@@ -42,94 +56,20 @@ const colors = {
   }
 };
 
-let mermaidInitialized = false;
-
-const initializeMermaid = (/* isDark ignored for global init */) => {
-  if (mermaidInitialized) return; // ← only once, ever
-  try {
-    mermaid.initialize({
-      startOnLoad: false,
-      securityLevel: 'loose',
-      flowchart: { useMaxWidth: true, htmlLabels: true }
-      // DO NOT set theme here; we’ll pass theme at render time
-    });
-    mermaidInitialized = true;
-  } catch (err) {
-    console.error('Mermaid initialization failed:', err);
-  }
-};
-
-initializeMermaid();
-
-const MermaidDiagram = ({ children, theme, isDark = false }) => {
-  const ref = useRef(null);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const code = String(children || '').trim();
-    
-    if (!code || !ref.current) {
-      return;
-    }
-
-    // Clean the code first
-    const cleanCode = code.replace(/```mermaid\n?/, '').replace(/\n?```$/, '').trim();
-    
-    // Use a unique ID for each render
-    const renderId = `mermaid-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-    try {
-      mermaid.render(renderId, cleanCode).then((result) => {
-        if (ref.current) {
-          ref.current.innerHTML = result.svg;
-          setError(null);
-        }
-      }).catch((e) => {
-        console.error("Mermaid render error:", e);
-        setError(e.message);
-      });
-    } catch (e) {
-      console.error("Mermaid render error:", e);
-      setError(e.message);
-    }
-  }, [children, isDark]);
-
-  if (error) {
-    return (
-      <div style={{
-        color: theme.errorColor,
-        padding: 12,
-        border: `1px solid ${theme.errorColor}`,
-        borderRadius: 8,
-        background: `${theme.errorColor}15`,
-        fontFamily: 'monospace',
-        fontSize: 12,
-        whiteSpace: 'pre-wrap'
-      }}>
-        <strong>Mermaid Error:</strong> {error}
-        <pre style={{marginTop: '8px'}}>{String(children)}</pre>
-      </div>
-    );
+// Syntax highlighting for rehype-highlight's hljs classes: GitHub's light and dark palettes
+const codeColors = {
+  light: {
+    keyword: '#D73A49', title: '#6F42C1', constant: '#005CC5', string: '#032F62', builtIn: '#E36209',
+    comment: '#6A737D', tag: '#22863A', section: '#005CC5', bullet: '#735C0F',
+    addition: '#22863A', additionBackground: '#F0FFF4', deletion: '#B31D28', deletionBackground: '#FFEEF0'
+  },
+  dark: {
+    keyword: '#FF7B72', title: '#D2A8FF', constant: '#79C0FF', string: '#A5D6FF', builtIn: '#FFA657',
+    comment: '#8B949E', tag: '#7EE787', section: '#1F6FEB', bullet: '#F2CC60',
+    addition: '#AFF5B4', additionBackground: '#033A16', deletion: '#FFDCD7', deletionBackground: '#67060C'
   }
-
-  return (
-    <div
-      ref={ref}
-      style={{
-        margin: '1rem 0',
-        padding: '1rem',
-        background: theme.backgroundSurface,
-        borderRadius: 8,
-        border: `1px solid ${theme.textSecondary}25`,
-        overflow: 'auto',
-        textAlign: 'center',
-        minHeight: 60
-      }}
-    />
-  );
 };
 
-
 const sampleQueries = {
   search: [
     "Antithrombotic strategy in AF post-TAVI multicenter RCT outcomes",
@@ -227,8 +167,10 @@ const useSpeechRecognition = () => {
 /** Rehype plugin: turn "[12]" into <sup class="md-citation" data-citation="12">[12]</sup> */
 function rehypeBracketCitations() {
   return (tree) => {
-    visit(tree, 'text', (node, index, parent) => {
-      if (!parent || typeof node.value !== 'string') return;
+    visit(tree, (node, index, parent) => {
+      // Brackets in math (rendered by KaTeX later) are subscripts and indices, not citations
+      if (node.type === 'element' && node.properties?.className?.includes?.('language-math')) return SKIP;
+      if (node.type !== 'text' || !parent || typeof node.value !== 'string') return;
       const regex = /\[(\d+)]/g;
       const parts = [];
       let lastIndex = 0;
@@ -286,116 +228,43 @@ function remarkCustomBreaks() {
   };
 }
 
-// Add this function after your preprocessMarkdown function (around line 260)
-const fixMermaidContent = (content) => {
-  if (!content) return content;
-  
-  console.log('=== FIXING MERMAID CONTENT ===');
-  console.log('Original content:', content);
-  
-  // Pattern to detect mermaid diagrams that aren't wrapped in code blocks
-  const lines = content.split('\n');
-  const result = [];
-  let inMermaidBlock = false;
-  let mermaidLines = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-    
-    console.log(`Line ${i}: "${trimmed}" (inMermaidBlock: ${inMermaidBlock})`);
-    
-    // Check if this line starts a mermaid diagram - more comprehensive detection
-    const isMermaidStart = !inMermaidBlock && (
-      // Flowchart patterns
-      /^flowchart\s+(TD|LR|TB|BT|RL)/.test(trimmed) ||
-      /^graph\s+(TD|LR|TB|BT|RL)/.test(trimmed) ||
-      // Other diagram types
-      trimmed === 'sequenceDiagram' ||
-      trimmed === 'classDiagram' ||
-      trimmed === 'stateDiagram' ||
-      trimmed === 'stateDiagram-v2' ||
-      trimmed === 'erDiagram' ||
-      trimmed === 'journey' ||
-      trimmed === 'gantt' ||
-      trimmed === 'pie' ||
-      trimmed === 'gitGraph' ||
-      trimmed === 'mindmap' ||
-      trimmed === 'timeline' ||
-      // Catch any remaining flowchart/graph variations
-      trimmed.startsWith('flowchart ') ||
-      trimmed.startsWith('graph ')
-    );
-    
-    if (isMermaidStart) {
-      // Check if it's already in a code block
-      const recentLines = result.slice(-5).join('\n');
-      if (!recentLines.includes('```mermaid') && !recentLines.includes('```')) {
-        console.log('🎯 DETECTED MERMAID START:', trimmed);
-        inMermaidBlock = true;
-        mermaidLines = [trimmed];
-        continue;
-      }
+const CODE_FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+const MATH_OPEN = /^\s{0,3}\$\$[^$]*$/;
+const MATH_CLOSE = /^\s{0,3}\$\$\s*$/;
+
+/**
+ * While an answer streams, a $$ block whose closing $$ has not arrived yet is
+ * shown as TeX source in a code block instead of half-rendered math.
+ * (Unclosed inline $…$ already stays text.)
+ */
+const holdUnclosedMath = (markdown) => {
+  const lines = markdown.split('\n');
+  let codeFence = null;
+  let mathStart = -1;
+
+  lines.forEach((line, i) => {
+    if (mathStart !== -1) {
+      if (MATH_CLOSE.test(line)) mathStart = -1;
+      return;
     }
-    
-    // If we're in a mermaid block, check if we should continue or end
-    if (inMermaidBlock) {
-      // Continue if the line looks like mermaid syntax
-      if (trimmed === '' || 
-          /^[A-Z]\s*-->/.test(trimmed) ||
-          /^[A-Z]\s*--[A-Z]/.test(trimmed) ||
-          /^[A-Z]\s*\{/.test(trimmed) ||
-          /^[A-Z]\s*\[/.test(trimmed) ||
-          /^\s*[A-Z]\s*-->/.test(trimmed) ||
-          /^\s*[A-Z]\s*--/.test(trimmed) ||
-          trimmed.includes('-->') ||
-          trimmed.includes('[') && trimmed.includes(']') ||
-          trimmed.includes('{') && trimmed.includes('}')) {
-        
-        if (trimmed !== '') {
-          console.log('📝 Adding mermaid line:', trimmed);
-          mermaidLines.push(trimmed);
-        }
-      } else {
-        // End of mermaid block
-        console.log('🏁 ENDING MERMAID BLOCK, collected lines:', mermaidLines);
-        inMermaidBlock = false;
-        result.push('```mermaid');
-        result.push(...mermaidLines);
-        result.push('```');
-        result.push('');
-        
-        // Add the current line if it's not empty
-        if (trimmed !== '') {
-          result.push(line);
-        }
-        mermaidLines = [];
-      }
-    } else {
-      result.push(line);
+    const fence = line.match(CODE_FENCE)?.[1];
+    if (codeFence) {
+      if (fence && fence[0] === codeFence[0] && fence.length >= codeFence.length) codeFence = null;
+    } else if (fence) {
+      codeFence = fence;
+    } else if (MATH_OPEN.test(line)) {
+      mathStart = i;
     }
-  }
-  
-  // Handle case where mermaid block extends to end of content
-  if (inMermaidBlock && mermaidLines.length > 0) {
-    console.log('🏁 ENDING MERMAID BLOCK AT EOF, collected lines:', mermaidLines);
-    result.push('```mermaid');
-    result.push(...mermaidLines);
-    result.push('```');
-  }
-  
-  const finalContent = result.join('\n');
-  console.log('=== FIXED CONTENT ===');
-  console.log(finalContent);
-  console.log('======================');
-  
-  return finalContent;
+  });
+
+  if (mathStart === -1) return markdown;
+  return [...lines.slice(0, mathStart), '~~~~latex', ...lines.slice(mathStart), '~~~~'].join('\n');
 };
 
 const preprocessMarkdown = (markdown, isStreaming = false) => {
  if (!markdown) return '';
  
- const lines = markdown.split('\n');
+ const lines = (isStreaming ? holdUnclosedMath(markdown) : markdown).split('\n');
  const processedLines = [];
  
  for (let i = 0; i < lines.length; i++) {
@@ -421,7 +290,6 @@ const preprocessMarkdown = (markdown, isStreaming = false) => {
  return processedLines.join('\n');
 };
 
-/** Sanitize schema allowing list attrs + citations */
 /** Sanitize schema allowing list attrs + citations */
 const sanitizeSchema = {
   tagNames: [
@@ -438,7 +306,7 @@ const sanitizeSchema = {
     //
     //
     sup: ['data-citation','className'],
-    span: ['className','style'],
+    span: ['className'],
     th: ['align'],
     td: ['align'],
     table: ['className'],
@@ -451,15 +319,17 @@ const sanitizeSchema = {
 };
 
 // keep plugin arrays stable between renders for perf
+// The answer's own HTML is sanitized first; KaTeX and highlighting run after,
+// so only their output carries inline styles and MathML
 const remarkPlugins = [remarkGfm, remarkMath, remarkCustomBreaks];
 const rehypePlugins = [
   rehypeSlug,
   [rehypeAutolinkHeadings, { behavior: 'append' }],
-  rehypeHighlight,
   rehypeRaw,
   rehypeBracketCitations,
-  // rehypeKatex, // enable if you installed katex
-  [rehypeSanitize, sanitizeSchema]
+  [rehypeSanitize, sanitizeSchema],
+  [rehypeKatex, { strict: 'ignore' }], // before highlighting, which would take language-math for code
+  rehypeHighlight
 ];
 
 /* =========================
@@ -559,6 +429,22 @@ const ToolbarView = ({ onNewChat, onToggleSidebar, theme }) => {
         fontSize: 28, margin: 0, fontWeight: 400
       }}>
         Astra
+        {isMockBackendEnabled() && (
+          <span
+            title="Responses are replayed from local fixtures"
+            style={{ marginLeft: 8, verticalAlign: 'middle', fontSize: 10, fontFamily: 'inherit', fontWeight: 600, letterSpacing: .5, padding: '2px 6px', borderRadius: 50, color: theme.accentSoftBlue, border: `1px solid ${theme.accentSoftBlue}60` }}
+          >
+            MOCK
+          </span>
+        )}
+        {getRuntimeConfig().profile !== 'production' && (
+          <span
+            title={`Connected to ${getRuntimeConfig().apiUrl || 'the mock backend'}`}
+            style={{ marginLeft: 8, verticalAlign: 'middle', fontSize: 10, fontFamily: 'inherit', fontWeight: 600, letterSpacing: .5, padding: '2px 6px', borderRadius: 50, color: theme.textSecondary, border: `1px solid ${theme.textSecondary}60`, textTransform: 'uppercase' }}
+          >
+            {getRuntimeConfig().profile}
+          </span>
+        )}
       </h1>
 
       <button
@@ -573,15 +459,16 @@ const ToolbarView = ({ onNewChat, onToggleSidebar, theme }) => {
   );
 };
 
+const CHAT_MODES = [
+  { key: 'search', title: 'Research', icon: Search },
+  { key: 'reason', title: 'DDx', icon: Sparkles },
+  { key: 'write', title: 'A&P', icon: FileText }
+];
+
 const ModeSwitcher = ({ currentMode, onModeChange, isDisabled, theme }) => {
-  const modes = [
-    { key: 'search', title: 'Research', icon: Search },
-    { key: 'reason', title: 'DDx', icon: Sparkles },
-    { key: 'write', title: 'A&P', icon: FileText }
-  ];
   return (
     <div style={{ display: 'flex', gap: 6 }}>
-      {modes.map(({ key, title, icon: Icon }) => {
+      {CHAT_MODES.map(({ key, title, icon: Icon }) => {
         const isSelected = currentMode === key;
         return (
           <button
@@ -645,49 +532,120 @@ const EmptyState = ({ currentMode, onSampleTapped, theme }) => {
   );
 };
 
-// Optional: Enhanced streaming support for live Mermaid rendering
-const processStreamingContentForMermaid = (content) => {
-  // Check if we have complete Mermaid blocks
-  const mermaidRegex = /```mermaid\n([\s\S]*?)\n```/g;
-  const matches = [];
-  let match;
-  
-  while ((match = mermaidRegex.exec(content)) !== null) {
-    matches.push({
-      start: match.index,
-      end: match.index + match[0].length,
-      content: match[1].trim(),
-      fullMatch: match[0]
-    });
+/* =========================
+   MARKDOWN BLOCK (Tailwind Typography)
+   ========================= */
+
+// Theme for the components below. Passed by context so the components stay
+// the same between renders: new ones each render would remount every
+// diagram on every streamed token.
+const MarkdownContext = React.createContext({ theme: colors.light, isDark: false });
+
+const DIAGRAM_LANGUAGES = ['mermaid', PENDING_LANGUAGE];
+
+const MarkdownCode = (props) => {
+  const { node: _node, className, children, ...rest } = props;
+  const { theme, isDark } = useContext(MarkdownContext);
+  const language = /language-([\w-]+)/.exec(className || '')?.[1];
+
+  if (DIAGRAM_LANGUAGES.includes(language)) {
+    return (
+      <MermaidDiagram theme={theme} isDark={isDark} pending={language === PENDING_LANGUAGE}>
+        {String(children).replace(/\n$/, '')}
+      </MermaidDiagram>
+    );
   }
-  
-  return {
-    hasCompleteMermaid: matches.length > 0,
-    mermaidBlocks: matches,
-    content
+
+  return <code className={className} {...rest}>{children}</code>;
+};
+
+const LANGUAGE_LABELS = {
+  js: 'JavaScript', javascript: 'JavaScript', jsx: 'JSX', ts: 'TypeScript', typescript: 'TypeScript',
+  py: 'Python', python: 'Python', r: 'R', sql: 'SQL', sas: 'SAS', stata: 'Stata', matlab: 'MATLAB',
+  bash: 'Bash', sh: 'Shell', shell: 'Shell', zsh: 'Shell', powershell: 'PowerShell',
+  json: 'JSON', yaml: 'YAML', yml: 'YAML', xml: 'XML', html: 'HTML', css: 'CSS', markdown: 'Markdown', md: 'Markdown',
+  java: 'Java', kotlin: 'Kotlin', swift: 'Swift', go: 'Go', rust: 'Rust', c: 'C', cpp: 'C++', csharp: 'C#',
+  latex: 'LaTeX', tex: 'LaTeX', diff: 'Diff', text: 'Text', plaintext: 'Text', txt: 'Text'
+};
+
+// Text of a hast node; highlighting has split the code into spans
+const hastText = (node) => (node.type === 'text' ? node.value : (node.children || []).map(hastText).join(''));
+
+const codeToolbarButtonStyle = (theme, active = false) => ({
+  display: 'flex', alignItems: 'center', gap: 4, padding: '2px 6px', borderRadius: 6, border: 'none',
+  background: active ? `${theme.accentSoftBlue}22` : 'transparent', color: active ? theme.accentSoftBlue : theme.textSecondary,
+  fontSize: 11, cursor: 'pointer'
+});
+
+/** A fenced code block with its language, a copy button and a soft-wrap toggle. */
+const CodeBlock = ({ node, children, ...props }) => {
+  const { theme } = useContext(MarkdownContext);
+  const [wrap, setWrap] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const code = node?.children?.find(child => child.tagName === 'code');
+  const language = (code?.properties?.className || []).find(name => name.startsWith('language-'))?.slice('language-'.length);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(hastText(code || node).replace(/\n$/, ''));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // Clipboard access denied; the code can still be selected
+    }
   };
+
+  return (
+    <div style={{ margin: '0.6rem 0', borderRadius: 8, border: `1px solid ${theme.textSecondary}25`, overflow: 'hidden' }}>
+      <div
+        style={{
+          display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, padding: '4px 6px 4px 12px',
+          background: `${theme.textSecondary}1A`, borderBottom: `1px solid ${theme.textSecondary}25`
+        }}
+      >
+        <span style={{ fontSize: 11, fontWeight: 500, color: theme.textSecondary }}>
+          {language ? (LANGUAGE_LABELS[language.toLowerCase()] || language) : 'Code'}
+        </span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <button
+            type="button"
+            onClick={() => setWrap(v => !v)}
+            aria-pressed={wrap}
+            title={wrap ? 'Scroll long lines' : 'Wrap long lines'}
+            style={codeToolbarButtonStyle(theme, wrap)}
+          >
+            <WrapText size={13} /> Wrap
+          </button>
+          <button type="button" onClick={handleCopy} aria-label="Copy code" style={codeToolbarButtonStyle(theme)}>
+            {copied ? <Check size={13} /> : <Copy size={13} />} {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+      </div>
+      <pre
+        {...props}
+        style={{ margin: 0, borderRadius: 0, whiteSpace: wrap ? 'pre-wrap' : 'pre', overflowWrap: wrap ? 'anywhere' : 'normal' }}
+      >
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+// Diagrams are not code blocks: no <pre> or toolbar around them
+const MarkdownPre = ({ node, children, ...props }) => {
+  const classes = node?.children?.[0]?.properties?.className || [];
+  if (DIAGRAM_LANGUAGES.some(language => classes.includes(`language-${language}`))) return <>{children}</>;
+  return <CodeBlock node={node} {...props}>{children}</CodeBlock>;
 };
 
-/* =========================
-   MARKDOWN BLOCK (Tailwind Typography)
-   ========================= */
 const markdownComponents = {
   a: ({ node, ...props }) => {
     const href = props.href || '';
     const isExternal = /^https?:\/\//i.test(href);
     return <a {...props} target={isExternal ? '_blank' : undefined} rel={isExternal ? 'noopener noreferrer' : undefined} />;
   },
-  code: ({ node, inline, className, children, ...props }) => {
-    const match = /language-(\w+)/.exec(className || '');
-    const language = match ? match[1] : '';
-
-    if (!inline && language === 'mermaid') {
-      const rawCode = String(children);
-      return <MermaidDiagram {...props}>{rawCode}</MermaidDiagram>;
-    }
-    
-    return <code className={className} {...props}>{children}</code>;
-  },
+  code: MarkdownCode,
+  pre: MarkdownPre,
   p: ({ node, children, ...props }) => {
     if (children && children.length === 1 && typeof children[0] === 'string' && children[0] === '\u00A0') {
       return <div style={{ height: '1.5em' }} {...props} />;
@@ -696,7 +654,6 @@ const markdownComponents = {
   },
 };
 
-// Update your MarkdownBlock to use the components and pass theme/isDark
 const MarkdownBlock = ({ markdown, theme, invert = false, onTapCitation, isStreaming = false }) => {
    const containerRef = useRef(null);
 
@@ -713,37 +670,9 @@ const MarkdownBlock = ({ markdown, theme, invert = false, onTapCitation, isStrea
     return () => { if (el) el.removeEventListener('click', handler); };
   }, [onTapCitation]);
 
-const processedMarkdown = preprocessMarkdown(markdown, isStreaming);
-   
-const componentsWithTheme = {
-  ...markdownComponents,
-code: ({ node, inline, className, children, ...props }) => {
-  const match = /language-(\w+)/.exec(className || '');
-  const language = match ? match[1] : '';
-
-  if (!inline && language === 'mermaid') {
-    const code = String(children).replace(/\n$/, '');
-
-    // ✅ Only show as code block if actively streaming AND content is incomplete
-    if (isStreaming && !code.includes('flowchart') && !code.includes('graph')) {
-      return (
-        <pre className={className}>
-          <code {...props}>{code}</code>
-        </pre>
-      );
-    }
-
-    // ✅ Otherwise, render the diagram
-    return (
-      <MermaidDiagram theme={theme} isDark={invert}>
-        {code}
-      </MermaidDiagram>
-    );
-  }
-
-  return <code className={className} {...props}>{children}</code>;
-}
-};
+  const fencedMarkdown = useMermaidBlocks(markdown, isStreaming);
+  const processedMarkdown = preprocessMarkdown(fencedMarkdown, isStreaming);
+  const context = useMemo(() => ({ theme, isDark: invert }), [theme, invert]);
 
   return (
     <div
@@ -751,19 +680,175 @@ code: ({ node, inline, className, children, ...props }) => {
       className={`markdown-body prose max-w-none ${invert ? 'prose-invert' : 'prose-neutral'}`}
       style={{ color: theme.textPrimary }}
     >
-      <ReactMarkdown
-        remarkPlugins={remarkPlugins}
-        rehypePlugins={rehypePlugins}
-        components={componentsWithTheme}
+      <MarkdownContext.Provider value={context}>
+        <ReactMarkdown
+          remarkPlugins={remarkPlugins}
+          rehypePlugins={rehypePlugins}
+          components={markdownComponents}
+        >
+          {processedMarkdown || ''}
+        </ReactMarkdown>
+      </MarkdownContext.Provider>
+    </div>
+  );
+};
+
+/* Shows which prior turns were sent along with a query */
+const ContextTurnsIndicator = ({ turns, theme }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  if (!turns || turns.length === 0) return null;
+
+  const verbatimCount = turns.filter(t => !t.summarized).length;
+  const summarizedCount = turns.length - verbatimCount;
+  const label = `Sent with ${verbatimCount} prior message${verbatimCount === 1 ? '' : 's'}` +
+    (summarizedCount ? ` + ${summarizedCount} summarized` : '');
+
+  return (
+    <div style={{ fontSize: 11, color: theme.textSecondary }}>
+      <button
+        onClick={() => setIsExpanded(v => !v)}
+        aria-expanded={isExpanded}
+        style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: theme.textSecondary, fontSize: 11 }}
+      >
+        {isExpanded ? '▾' : '▸'} {label}
+      </button>
+      {isExpanded && (
+        <ol style={{ margin: '4px 0 0', paddingLeft: 18, display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {turns.map((turn) => (
+            <li key={`${turn.id}-${turn.role}`} style={{ opacity: turn.summarized ? 0.7 : 1 }}>
+              <strong style={{ fontWeight: 600 }}>{turn.role === 'user' ? 'You' : 'Astra'}:</strong>{' '}
+              {turn.preview}{turn.summarized ? ' (summarized)' : ''}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+/* Failure state for a message whose answer could not be fetched */
+const MessageErrorNotice = ({ error, theme, onRetry, canRetry }) => {
+  const retryAt = error.retryAfter ? (error.failedAt || 0) + error.retryAfter : 0;
+  const [now, setNow] = useState(() => Date.now());
+  const secondsLeft = Math.max(0, Math.ceil((retryAt - now) / 1000));
+
+  useEffect(() => {
+    if (!secondsLeft) return;
+    const timer = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft, now]);
+
+  const { title, detail } = errorPresentation(error);
+  const isWaiting = secondsLeft > 0;
+
+  return (
+    <div
+      role="alert"
+      style={{
+        marginTop: 8, padding: '10px 12px', borderRadius: 8, display: 'flex', alignItems: 'center', gap: 12,
+        border: `1px solid ${theme.errorColor}40`, backgroundColor: `${theme.errorColor}0D`
+      }}
+    >
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: theme.errorColor }}>{title}</div>
+        <div style={{ fontSize: 12, color: theme.textSecondary }}>
+          {detail}{isWaiting ? ` Try again in ${secondsLeft}s.` : ''}
+        </div>
+      </div>
+      <button
+        onClick={() => onRetry?.()}
+        disabled={!canRetry || isWaiting}
+        style={{
+          padding: '6px 12px', borderRadius: 50, border: `1px solid ${theme.errorColor}60`, background: 'transparent',
+          color: theme.errorColor, fontSize: 12, fontWeight: 500, cursor: 'pointer',
+          opacity: (!canRetry || isWaiting) ? 0.5 : 1, flexShrink: 0
+        }}
       >
-        {processedMarkdown || ''}
-      </ReactMarkdown>
+        Retry
+      </button>
+    </div>
+  );
+};
+
+const VersionNavigator = ({ index, count, theme, onSelect, disabled, label = 'version' }) => {
+  const arrowStyle = (enabled) => ({
+    display: 'flex', alignItems: 'center', padding: 2, border: 'none', background: 'transparent',
+    color: theme.textSecondary, cursor: enabled ? 'pointer' : 'default', opacity: enabled ? 1 : 0.35
+  });
+  const canPrev = !disabled && index > 0;
+  const canNext = !disabled && index < count - 1;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 2, fontSize: 12, color: theme.textSecondary }}>
+      <button onClick={() => canPrev && onSelect(index - 1)} disabled={!canPrev} aria-label={`Previous ${label}`} style={arrowStyle(canPrev)}>
+        <ChevronLeft size={14} />
+      </button>
+      <span style={{ minWidth: 28, textAlign: 'center', fontVariantNumeric: 'tabular-nums' }}>{index + 1}/{count}</span>
+      <button onClick={() => canNext && onSelect(index + 1)} disabled={!canNext} aria-label={`Next ${label}`} style={arrowStyle(canNext)}>
+        <ChevronRight size={14} />
+      </button>
+    </div>
+  );
+};
+
+// Thumbnails of images attached to a query; onRemove makes them removable (composer)
+// Browsers block opening data: URLs in a tab, so the image opens as a blob URL
+const openImage = (image) => {
+  const [header, base64] = image.data.split(',');
+  const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  const url = URL.createObjectURL(new Blob([bytes], { type: header.match(/^data:([^;]+)/)?.[1] || image.type }));
+  window.open(url, '_blank', 'noopener,noreferrer');
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+const ImageThumbnails = ({ images, theme, size = 56, onRemove = null }) => {
+  if (!images?.length) return null;
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+      {images.map((image) => (
+        <div key={image.id} style={{ position: 'relative', width: size, height: size, flexShrink: 0 }}>
+          <button
+            onClick={() => openImage(image)}
+            title={image.name}
+            style={{ padding: 0, border: 'none', background: 'transparent', cursor: 'zoom-in', display: 'block' }}
+          >
+            <img
+              src={image.data}
+              alt={image.name || 'Attached image'}
+              style={{ width: size, height: size, objectFit: 'cover', borderRadius: 6, border: `1px solid ${theme.textSecondary}30`, display: 'block' }}
+            />
+          </button>
+          {onRemove && (
+            <button
+              onClick={() => onRemove(image.id)}
+              aria-label={`Remove ${image.name || 'image'}`}
+              style={{
+                position: 'absolute', top: -6, right: -6, width: 18, height: 18, borderRadius: '50%', border: 'none', padding: 0,
+                backgroundColor: theme.textPrimary, color: theme.backgroundSurface, cursor: 'pointer',
+                display: 'flex', alignItems: 'center', justifyContent: 'center'
+              }}
+            >
+              <X size={12} />
+            </button>
+          )}
+        </div>
+      ))}
     </div>
   );
 };
 
-const MessageBubble = ({ message, theme, invertMarkdown, onTapCitation }) => {
+const branchPosition = (conversation, message) => {
+  const siblings = siblingsOf(conversation, message);
+  return { index: Math.max(0, siblings.findIndex(m => m.id === message.id)), count: siblings.length };
+};
+
+const MessageBubble = ({
+  message, theme, invertMarkdown, onTapCitation, onRetry, onContinue, onRegenerate, onSelectVersion,
+  onEdit, onSelectBranch, branch = null, canRetry, live = null
+}) => {
   const [showCopied, setShowCopied] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
   const handleCopy = async () => {
     if (!message.content) return;
     try {
@@ -774,41 +859,191 @@ const MessageBubble = ({ message, theme, invertMarkdown, onTapCitation }) => {
   };
 
   if (message.role === 'user') {
-    const getLabel = () => message.wasInWriteMode ? 'Write Request:' : (message.wasInReasonMode ? 'Reason Request:' : 'Search Query:');
+    const startEdit = () => {
+      setDraft(message.content);
+      setIsEditing(true);
+    };
+    const submitEdit = () => {
+      if (!canRetry || !draft.trim()) return;
+      setIsEditing(false);
+      if (draft.trim() !== message.content) onEdit?.(message, draft);
+    };
+    const getLabel = () => ({ write: 'Write Request:', reason: 'Reason Request:' })[message.mode] || 'Search Query:';
     return (
-      <div style={{ width: '100%', marginBottom: 16 }}>
+      <div data-message-id={message.id} style={{ width: '100%', marginBottom: 16 }}>
         <div style={{ display: 'flex', backgroundColor: `${theme.accentSoftBlue}0D`, borderRadius: 6 }}>
           <div style={{ width: 3, backgroundColor: theme.accentSoftBlue, flexShrink: 0 }} />
           <div style={{ flex: 1, padding: '10px 12px', display: 'flex', flexDirection: 'column', gap: 4 }}>
             <div style={{ fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary }}>
               {getLabel()}
             </div>
-            <div style={{ fontSize: 14, color: theme.textPrimary }}>{message.content}</div>
+            <ImageThumbnails images={message.images} theme={theme} />
+            {isEditing ? (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); submitEdit(); }
+                    if (e.key === 'Escape') setIsEditing(false);
+                  }}
+                  autoFocus
+                  rows={Math.min(8, Math.max(2, draft.split('\n').length))}
+                  style={{
+                    width: '100%', boxSizing: 'border-box', padding: 8, borderRadius: 6, resize: 'vertical',
+                    border: `1px solid ${theme.accentSoftBlue}60`, backgroundColor: theme.backgroundSurface,
+                    color: theme.textPrimary, fontSize: 14, fontFamily: 'inherit'
+                  }}
+                />
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+                  <button
+                    onClick={() => setIsEditing(false)}
+                    style={{ padding: '6px 12px', borderRadius: 50, border: 'none', background: 'transparent', color: theme.textSecondary, fontSize: 12, cursor: 'pointer' }}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={submitEdit}
+                    disabled={!canRetry || !draft.trim()}
+                    style={{
+                      padding: '6px 12px', borderRadius: 50, border: 'none', backgroundColor: theme.accentSoftBlue, color: '#fff',
+                      fontSize: 12, fontWeight: 500, cursor: 'pointer', opacity: canRetry && draft.trim() ? 1 : 0.5
+                    }}
+                  >
+                    Send
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div style={{ fontSize: 14, color: theme.textPrimary }}>{message.content}</div>
+            )}
+            <ContextTurnsIndicator turns={message.contextTurns} theme={theme} />
+            {!isEditing && (
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 8 }}>
+                {branch?.count > 1 && (
+                  <VersionNavigator
+                    index={branch.index}
+                    count={branch.count}
+                    theme={theme}
+                    label="branch"
+                    disabled={!canRetry}
+                    onSelect={(index) => onSelectBranch?.(message, index)}
+                  />
+                )}
+                <button
+                  onClick={startEdit}
+                  disabled={!canRetry}
+                  aria-label="Edit message"
+                  style={{
+                    display: 'flex', alignItems: 'center', gap: 4, padding: '2px 4px', border: 'none', background: 'transparent',
+                    color: theme.textSecondary, fontSize: 12, cursor: canRetry ? 'pointer' : 'default', opacity: canRetry ? 1 : 0.5
+                  }}
+                >
+                  <Edit3 size={12} />
+                  Edit
+                </button>
+              </div>
+            )}
           </div>
         </div>
+        {message.error && (
+          <MessageErrorNotice error={message.error} theme={theme} onRetry={() => onRetry?.(message)} canRetry={canRetry} />
+        )}
       </div>
     );
   }
 
-  // assistant message
+  // assistant message; a continuation or regeneration streams into it live
+  const isContinuing = live?.kind === 'continue';
+  const isRegenerating = live?.kind === 'regenerate';
+  const content = isContinuing
+    ? joinContinuation(message.content, live.content)
+    : (isRegenerating ? live.content : message.content);
+  const versionCount = messageVersions(message).length;
+  const versionIndex = isRegenerating ? versionCount : (message.versionIndex ?? 0);
+  const shownVersionCount = isRegenerating ? versionCount + 1 : versionCount;
+  const mode = isRegenerating ? live.mode : message.mode;
+
   return (
-    <div style={{ width: '100%', marginBottom: 16, position: 'relative' }}>
+    <div data-message-id={message.id} style={{ width: '100%', marginBottom: 16, position: 'relative' }}>
       <div style={{ padding: 16, borderRadius: 12, backgroundColor: theme.backgroundSurface, border: `1px solid ${theme.accentSoftBlue}33` }}>
         {message.isStreamingComplete && (
           <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
-            <span style={{ fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary }}>Response:</span>
+            <span style={{ fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary }}>
+              {isRegenerating && !content ? 'Regenerating...' : 'Response:'}
+            </span>
           </div>
         )}
 <MarkdownBlock
-  markdown={message.content}
+  markdown={content}
   theme={theme}
   invert={invertMarkdown}
-  isStreaming={false}   // ← change this to: isStreaming={!message.isStreamingComplete}
+  isStreaming={!!live}
   onTapCitation={(num) => {
     const citation = message.citations?.find((c) => c.number === num);
     if (citation && onTapCitation) onTapCitation(citation);
   }}
 />
+        {live && (
+          <span style={{ color: theme.accentSoftBlue, animation: 'blink 1s infinite' }}>▍</span>
+        )}
+        {message.isIncomplete && !live && (
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, marginTop: 12, paddingTop: 10, borderTop: `1px dashed ${theme.textSecondary}40` }}>
+            <span style={{ fontSize: 12, fontStyle: 'italic', color: theme.textSecondary }}>
+              Response stopped before it finished.
+            </span>
+            <button
+              onClick={() => onContinue?.(message)}
+              disabled={!canRetry}
+              style={{
+                padding: '6px 12px', borderRadius: 50, border: `1px solid ${theme.accentSoftBlue}60`, background: 'transparent',
+                color: theme.accentSoftBlue, fontSize: 12, fontWeight: 500, cursor: 'pointer', opacity: canRetry ? 1 : 0.5, flexShrink: 0
+              }}
+            >
+              Continue
+            </button>
+          </div>
+        )}
+        {message.error && !live && (
+          <MessageErrorNotice
+            error={message.error}
+            theme={theme}
+            onRetry={() => (message.error.action === 'regenerate' ? onRegenerate : onContinue)?.(message)}
+            canRetry={canRetry}
+          />
+        )}
+        {message.isStreamingComplete && (
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginTop: 12 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              {shownVersionCount > 1 && (
+                <VersionNavigator
+                  index={versionIndex}
+                  count={shownVersionCount}
+                  theme={theme}
+                  disabled={!!live}
+                  onSelect={(index) => onSelectVersion?.(message, index)}
+                />
+              )}
+              {shownVersionCount > 1 && mode && (
+                <span style={{ fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary }}>
+                  {MODE_LABELS[mode]}
+                </span>
+              )}
+            </div>
+            <button
+              onClick={() => onRegenerate?.(message)}
+              disabled={!canRetry}
+              aria-label="Regenerate response"
+              style={{
+                display: 'flex', alignItems: 'center', gap: 4, padding: '4px 8px', border: 'none', background: 'transparent',
+                color: theme.textSecondary, fontSize: 12, cursor: canRetry ? 'pointer' : 'default', opacity: canRetry ? 1 : 0.5
+              }}
+            >
+              <RefreshCw size={12} />
+              Regenerate
+            </button>
+          </div>
+        )}
         <button
           onClick={handleCopy}
           aria-label="Copy message"
@@ -823,8 +1058,6 @@ const MessageBubble = ({ message, theme, invertMarkdown, onTapCitation }) => {
 
 /* Streaming shell that renders only after first token */
 const StreamingResponse = ({ content, theme, invert = false }) => {
-  const mermaidInfo = processStreamingContentForMermaid(content);
-  
   return (
     <div style={{ 
       padding: 16, 
@@ -856,7 +1089,7 @@ const StreamingResponse = ({ content, theme, invert = false }) => {
   theme={theme} 
   invert={invert} 
   onTapCitation={() => {}} 
-  isStreaming={!content.includes('```mermaid')}  // ← change this line
+  isStreaming
         />
         {content ? (
           <span style={{ 
@@ -871,10 +1104,10 @@ const StreamingResponse = ({ content, theme, invert = false }) => {
   );
 };
 
-const LoadingIndicator = ({ theme }) => (
+const LoadingIndicator = ({ theme, status }) => (
   <div style={{ padding: 16, borderRadius: 12, backgroundColor: 'transparent', marginBottom: 16 }}>
     <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-      <span style={{ fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary }}>Thinking...</span>
+      <span style={{ fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary }}>{status || 'Thinking...'}</span>
       <div style={{ display: 'flex', gap: 4 }}>
         {[0, 1, 2].map((i) => (
           <div key={i} style={{ width: 4, height: 4, borderRadius: '50%', backgroundColor: theme.textSecondary, animation: `pulse 1.5s ease-in-out infinite ${i * 150}ms` }} />
@@ -884,51 +1117,767 @@ const LoadingIndicator = ({ theme }) => (
   </div>
 );
 
-const Sidebar = ({ isOpen, onClose, chatHistory, onSelectChat, onDeleteChat, onNewChat, theme }) => {
-  if (!isOpen) return null;
+const OAUTH_LABELS = { google: 'Google', azure: 'Microsoft', apple: 'Apple', github: 'GitHub' };
+
+// Sign-in state at the top of the sidebar; hidden when the deployment has no auth
+const AccountPanel = ({ theme }) => {
+  const auth = useAuth();
+  const [email, setEmail] = useState('');
+
+  if (!auth.isEnabled) return null;
+
+  const linkButtonStyle = { padding: 0, border: 'none', background: 'transparent', color: theme.accentSoftBlue, fontSize: 12, cursor: 'pointer', textDecoration: 'underline' };
+
+  if (auth.isSignedIn) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: 12, marginBottom: 16, borderRadius: 8, backgroundColor: `${theme.textSecondary}0A` }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 12, color: theme.textSecondary }}>Signed in as</div>
+          <div style={{ fontSize: 14, color: theme.textPrimary, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {auth.user?.email || 'Account'}
+          </div>
+        </div>
+        <button
+          onClick={auth.signOut}
+          title="Sign out"
+          aria-label="Sign out"
+          style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}
+        >
+          <LogOut size={16} color={theme.textSecondary} />
+        </button>
+      </div>
+    );
+  }
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (email.trim() && !auth.isBusy) auth.signInWithEmail(email);
+  };
+
   return (
-    <div style={{ position: 'fixed', inset: 0, zIndex: 50, display: 'flex' }}>
-      <div style={{ flex: 1, backgroundColor: 'rgba(0, 0, 0, 0.5)' }} onClick={onClose} />
-      <div style={{ width: 320, height: '100%', padding: 24, paddingTop: 'max(24px, env(safe-area-inset-top))', overflowY: 'auto', backgroundColor: theme.backgroundSurface }}>
-        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 24 }}>
-          <h2 style={{ fontSize: 18, fontWeight: 600, color: theme.textPrimary, margin: 0 }}>Chat History</h2>
-          <button onClick={onNewChat} style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}>
-            <Edit3 size={16} color={theme.textPrimary} />
+    <form onSubmit={submit} style={{ padding: 12, marginBottom: 16, borderRadius: 8, backgroundColor: `${theme.textSecondary}0A` }}>
+      <div style={{ fontSize: 13, fontWeight: 500, color: theme.textPrimary, marginBottom: 8 }}>
+        Sign in to keep your chats on every device
+      </div>
+
+      {auth.pendingEmail ? (
+        <div style={{ fontSize: 13, color: theme.textSecondary }}>
+          Check <strong style={{ color: theme.textPrimary }}>{auth.pendingEmail}</strong> for a sign-in link.{' '}
+          <button type="button" onClick={auth.clearError} style={linkButtonStyle}>Use another email</button>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: 8 }}>
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@hospital.org"
+            aria-label="Email"
+            style={{ flex: 1, minWidth: 0, padding: '6px 10px', borderRadius: 8, border: `1px solid ${theme.textSecondary}40`, backgroundColor: theme.backgroundSurface, color: theme.textPrimary, fontSize: 13 }}
+          />
+          <button
+            type="submit"
+            disabled={auth.isBusy}
+            title={auth.providerId === 'local' ? 'Sign in' : 'Email me a sign-in link'}
+            style={{ display: 'flex', alignItems: 'center', gap: 4, padding: '6px 10px', borderRadius: 8, border: 'none', backgroundColor: theme.accentSoftBlue, color: '#fff', fontSize: 12, cursor: auth.isBusy ? 'default' : 'pointer', opacity: auth.isBusy ? 0.6 : 1 }}
+          >
+            <Mail size={14} color="#fff" />
+            {auth.providerId === 'local' ? 'Sign in' : 'Send link'}
           </button>
         </div>
+      )}
 
-        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
-          {chatHistory.map((chat) => (
-            <div key={chat.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-              <button
-                onClick={() => onSelectChat(chat)}
-                style={{ flex: 1, padding: 12, borderRadius: 8, textAlign: 'left', backgroundColor: `${theme.textSecondary}0A`, border: 'none', cursor: 'pointer' }}
-              >
-                <div style={{ fontSize: 14, fontWeight: 500, color: theme.textPrimary, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                  {chat.title}
-                </div>
-                <div style={{ fontSize: 12, color: theme.textSecondary }}>
-                  {new Date(chat.timestamp).toLocaleDateString()}
-                </div>
-              </button>
-              <button
-                onClick={() => onDeleteChat(chat)}
-                style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}
-              >
-                <Square size={12} color={theme.errorColor} />
-              </button>
-            </div>
+      {auth.oauthProviders.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 8 }}>
+          {auth.oauthProviders.map(provider => (
+            <button
+              key={provider}
+              type="button"
+              onClick={() => auth.signInWithOAuth(provider)}
+              style={{ padding: '6px 10px', borderRadius: 8, border: `1px solid ${theme.textSecondary}40`, backgroundColor: 'transparent', color: theme.textPrimary, fontSize: 12, cursor: 'pointer' }}
+            >
+              Continue with {OAUTH_LABELS[provider] || provider}
+            </button>
           ))}
         </div>
+      )}
+
+      {auth.error && (
+        <div role="alert" style={{ fontSize: 12, color: theme.errorColor, marginTop: 8 }}>{auth.error}</div>
+      )}
+    </form>
+  );
+};
+
+const SYNC_WARNING = '#F79009';
+
+// One line under the sidebar header; nothing while everything is synced
+const SyncStatusLine = ({ syncState, theme, onRetry }) => {
+  if (!syncState) return null;
+  const { status, pendingCount, conflictCount, error } = syncState;
+  const waiting = pendingCount > 0 ? ` · ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting` : '';
+
+  let text = null;
+  let color = theme.textSecondary;
+  if (status === SyncStatus.SYNCING) {
+    text = 'Syncing…';
+  } else if (status === SyncStatus.OFFLINE) {
+    text = `Offline${waiting}`;
+  } else if (status === SyncStatus.ERROR) {
+    text = `Sync failed${error ? `: ${error}` : ''}${waiting}`;
+    color = theme.errorColor;
+  } else if (conflictCount > 0) {
+    text = `${conflictCount} ${conflictCount === 1 ? 'chat was' : 'chats were'} edited on two devices`;
+    color = SYNC_WARNING;
+  }
+  if (!text) return null;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginTop: -16, marginBottom: 16, fontSize: 12, color }}>
+      <span>{text}</span>
+      {status === SyncStatus.ERROR && (
+        <button
+          onClick={onRetry}
+          style={{ padding: 0, border: 'none', background: 'transparent', color: theme.accentSoftBlue, fontSize: 12, cursor: 'pointer', textDecoration: 'underline', flexShrink: 0 }}
+        >
+          Retry
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Shown above the open chat when another device saved a different version of it
+const SyncConflictBanner = ({ session, theme, onResolve, disabled }) => {
+  const { conflict } = session;
+  const [failed, setFailed] = useState(false);
+  const resolve = async (choice) => {
+    setFailed(false);
+    setFailed(!(await onResolve(choice)));
+  };
+  const buttonStyle = {
+    padding: '6px 12px', borderRadius: 50, border: `1px solid ${theme.textSecondary}40`, background: 'transparent',
+    color: theme.textPrimary, fontSize: 12, cursor: disabled ? 'default' : 'pointer', opacity: disabled ? 0.5 : 1
+  };
+  return (
+    <div
+      role="alert"
+      style={{ marginBottom: 16, padding: 12, borderRadius: 12, backgroundColor: theme.backgroundSurface, border: `1px solid ${SYNC_WARNING}80` }}
+    >
+      <div style={{ fontSize: 13, fontWeight: 600, color: theme.textPrimary }}>Edited on another device</div>
+      <div style={{ fontSize: 12, color: theme.textSecondary, marginTop: 2 }}>
+        {conflict.deleted
+          ? 'This chat was deleted on another device after you changed it here.'
+          : `Another device saved a different version (${conflict.messageCount} messages, ${conflict.updatedAt.toLocaleString()}). Neither has been overwritten.`}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 10, flexWrap: 'wrap' }}>
+        <button disabled={disabled} onClick={() => resolve('theirs')} style={buttonStyle}>
+          {conflict.deleted ? 'Delete it' : 'Use the other version'}
+        </button>
+        {!conflict.deleted && (
+          <button disabled={disabled} onClick={() => resolve('both')} style={buttonStyle}>Keep both</button>
+        )}
+        <button
+          disabled={disabled}
+          onClick={() => resolve('mine')}
+          style={{ ...buttonStyle, border: 'none', backgroundColor: theme.accentSoftBlue, color: '#fff', fontWeight: 500 }}
+        >
+          Keep this version
+        </button>
       </div>
+      {failed && (
+        <div style={{ fontSize: 12, color: theme.errorColor, marginTop: 8, textAlign: 'right' }}>
+          Could not save your choice. Try again.
+        </div>
+      )}
     </div>
   );
 };
 
-/* =========================
-   INPUT BAR (reports its height)
-   ========================= */
-const InputBar = ({
+const UNDO_TOAST_MS = 6000;
+
+// "Moved to Trash" notice with Undo; dismisses itself after a few seconds
+const UndoToast = ({ toast, theme, onUndo, onDismiss }) => {
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(onDismiss, UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toast, onDismiss]);
+
+  if (!toast) return null;
+  return (
+    <div
+      role="status"
+      style={{
+        position: 'fixed', left: '50%', bottom: 'calc(96px + env(safe-area-inset-bottom))', transform: 'translateX(-50%)', zIndex: 60,
+        display: 'flex', alignItems: 'center', gap: 16, padding: '10px 16px', borderRadius: 12,
+        backgroundColor: theme.textPrimary, color: theme.backgroundSurface, fontSize: 13, boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)'
+      }}
+    >
+      <span>{toast.message}</span>
+      <button
+        onClick={onUndo}
+        style={{ padding: 0, border: 'none', background: 'transparent', color: theme.accentSoftBlue, fontSize: 13, fontWeight: 600, cursor: 'pointer' }}
+      >
+        Undo
+      </button>
+    </div>
+  );
+};
+
+// Filter chips in the sidebar (search modes, folders)
+const chipStyle = (theme, isSelected) => ({
+  display: 'flex', alignItems: 'center', gap: 4, padding: '4px 10px', borderRadius: 50, border: `1px solid ${theme.textSecondary}50`, fontSize: 12, cursor: 'pointer',
+  backgroundColor: isSelected ? theme.accentSoftBlue : 'transparent', color: isSelected ? '#fff' : theme.textPrimary
+});
+
+// Snippet text with the matched words marked
+const SearchSnippet = ({ snippet, theme }) => {
+  const parts = [];
+  let cursor = 0;
+  snippet.highlights.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(snippet.text.slice(cursor, start));
+    parts.push(
+      <mark key={i} style={{ backgroundColor: `${theme.accentSoftBlue}33`, color: theme.textPrimary, borderRadius: 2 }}>
+        {snippet.text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(snippet.text.slice(cursor));
+  return <>{snippet.truncatedStart && '…'}{parts}{snippet.truncatedEnd && '…'}</>;
+};
+
+const searchMatchLabel = (match) => {
+  if (match.field === 'citation') return 'Source';
+  return match.role === 'user' ? 'You' : 'Astra';
+};
+
+// Search box, mode and date filters; results replace the chat list while there is a query
+const ChatSearchPanel = ({ search, setSearch, results, coverage, onOpenResult, theme }) => {
+  const setMode = (mode) => setSearch(current => ({ ...current, mode: current.mode === mode ? null : mode }));
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '8px 12px', borderRadius: 8, backgroundColor: `${theme.textSecondary}0A` }}>
+        <Search size={14} color={theme.textSecondary} />
+        <input
+          type="search"
+          value={search.query}
+          onChange={(e) => setSearch(current => ({ ...current, query: e.target.value }))}
+          placeholder="Search chats"
+          aria-label="Search chats"
+          style={{ flex: 1, minWidth: 0, border: 'none', outline: 'none', background: 'transparent', color: theme.textPrimary, fontSize: 14 }}
+        />
+        {search.query && (
+          <button
+            onClick={() => setSearch(current => ({ ...current, query: '' }))}
+            aria-label="Clear search"
+            style={{ padding: 0, border: 'none', background: 'transparent', cursor: 'pointer', display: 'flex' }}
+          >
+            <X size={14} color={theme.textSecondary} />
+          </button>
+        )}
+      </div>
+
+      {search.query.trim() && (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', marginTop: 8 }}>
+            {CHAT_MODES.map(({ key, title }) => (
+              <button key={key} onClick={() => setMode(key)} aria-pressed={search.mode === key} style={chipStyle(theme, search.mode === key)}>
+                {title}
+              </button>
+            ))}
+            <select
+              value={search.range}
+              onChange={(e) => setSearch(current => ({ ...current, range: e.target.value }))}
+              aria-label="Date range"
+              style={{ marginLeft: 'auto', padding: '4px 6px', borderRadius: 6, border: `1px solid ${theme.textSecondary}50`, background: 'transparent', color: theme.textPrimary, fontSize: 12 }}
+            >
+              {Object.entries(SEARCH_DATE_RANGES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ fontSize: 12, color: theme.textSecondary, margin: '12px 0 8px' }}>
+            {results.length === 0 ? 'No matches' : `${results.length} ${results.length === 1 ? 'chat' : 'chats'}`}
+            {coverage.searchable < coverage.total && (
+              <div style={{ marginTop: 4 }}>
+                Searched {coverage.searchable} of {coverage.total} chats. Chats from other devices are searchable once opened here.
+              </div>
+            )}
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+            {results.map(result => (
+              <div key={result.sessionId} style={{ padding: 12, borderRadius: 8, backgroundColor: `${theme.textSecondary}0A` }}>
+                <button
+                  onClick={() => onOpenResult(result.sessionId, result.matches[0].messageId)}
+                  style={{ width: '100%', padding: 0, border: 'none', background: 'transparent', textAlign: 'left', cursor: 'pointer' }}
+                >
+                  <div style={{ fontSize: 14, fontWeight: 500, color: theme.textPrimary, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                    {result.title}
+                  </div>
+                  <div style={{ fontSize: 12, color: theme.textSecondary }}>
+                    {result.updatedAt.toLocaleDateString()} · {result.matchCount} {result.matchCount === 1 ? 'match' : 'matches'}
+                  </div>
+                </button>
+                {result.matches.map(match => (
+                  <button
+                    key={match.messageId}
+                    onClick={() => onOpenResult(result.sessionId, match.messageId)}
+                    style={{ display: 'block', width: '100%', marginTop: 8, padding: 0, border: 'none', background: 'transparent', textAlign: 'left', cursor: 'pointer', fontSize: 12, lineHeight: 1.4, color: theme.textSecondary }}
+                  >
+                    <span style={{ fontWeight: 600 }}>{searchMatchLabel(match)}: </span>
+                    <SearchSnippet snippet={match.snippet} theme={theme} />
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// One chat in the history list, with a menu to pin, rename or file it
+const ChatRow = ({ chat, folders, theme, onSelect, onDelete, onRename, onSetPinned, onMoveToFolder, onExport }) => {
+  const [showMenu, setShowMenu] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [newFolder, setNewFolder] = useState('');
+  const renameOpenRef = useRef(false); // Enter and the blur that follows commit once
+
+  const menuItemStyle = {
+    display: 'flex', alignItems: 'center', gap: 8, width: '100%', padding: '8px 10px', border: 'none', borderRadius: 6,
+    background: 'transparent', color: theme.textPrimary, fontSize: 13, textAlign: 'left', cursor: 'pointer'
+  };
+  const closeMenu = () => {
+    setShowMenu(false);
+    setNewFolder('');
+  };
+  const startRename = () => {
+    closeMenu();
+    setDraft(chat.title);
+    renameOpenRef.current = true;
+    setIsRenaming(true);
+  };
+  const endRename = (commit) => {
+    if (!renameOpenRef.current) return;
+    renameOpenRef.current = false;
+    setIsRenaming(false);
+    if (commit) onRename(chat, draft);
+  };
+  const moveTo = (folder) => {
+    closeMenu();
+    onMoveToFolder(chat, folder);
+  };
+  const sectionLabelStyle = { fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary, padding: '8px 10px 4px' };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        {isRenaming ? (
+          <form onSubmit={(e) => { e.preventDefault(); endRename(true); }} style={{ flex: 1 }}>
+            <input
+              autoFocus
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onBlur={() => endRename(true)}
+              onKeyDown={(e) => { if (e.key === 'Escape') endRename(false); }}
+              aria-label="Chat title"
+              style={{ width: '100%', boxSizing: 'border-box', padding: 12, borderRadius: 8, border: `1px solid ${theme.accentSoftBlue}`, outline: 'none', backgroundColor: 'transparent', color: theme.textPrimary, fontSize: 14 }}
+            />
+          </form>
+        ) : (
+          <button
+            onClick={() => onSelect(chat)}
+            style={{ flex: 1, minWidth: 0, padding: 12, borderRadius: 8, textAlign: 'left', backgroundColor: `${theme.textSecondary}0A`, border: 'none', cursor: 'pointer' }}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 14, fontWeight: 500, color: theme.textPrimary }}>
+              {chat.pinned && <Pin size={12} color={theme.textSecondary} style={{ flexShrink: 0 }} />}
+              <span style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{chat.title}</span>
+            </div>
+            {chat.description && (
+              <div style={{ fontSize: 12, color: theme.textSecondary, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', marginTop: 2 }}>
+                {chat.description}
+              </div>
+            )}
+            <div style={{ fontSize: 12, color: theme.textSecondary }}>
+              {chat.lastActivityAt.toLocaleDateString()}
+              {chat.folder && <span> · {chat.folder}</span>}
+              {chat.conflict && <span style={{ color: SYNC_WARNING }}> · edited on two devices</span>}
+            </div>
+          </button>
+        )}
+        <button
+          onClick={() => (showMenu ? closeMenu() : setShowMenu(true))}
+          aria-label="Chat options"
+          aria-expanded={showMenu}
+          style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}
+        >
+          <MoreHorizontal size={14} color={theme.textSecondary} />
+        </button>
+        <button
+          onClick={() => onDelete(chat)}
+          aria-label="Move to Trash"
+          title="Move to Trash"
+          style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}
+        >
+          <Trash2 size={14} color={theme.errorColor} />
+        </button>
+      </div>
+
+      {showMenu && (
+        <div role="menu" style={{ margin: '4px 0 4px 12px', padding: 4, borderRadius: 8, border: `1px solid ${theme.textSecondary}30`, backgroundColor: theme.backgroundSurface }}>
+          <button role="menuitem" onClick={() => { closeMenu(); onSetPinned(chat, !chat.pinned); }} style={menuItemStyle}>
+            {chat.pinned ? <PinOff size={14} /> : <Pin size={14} />} {chat.pinned ? 'Unpin' : 'Pin to top'}
+          </button>
+          <button role="menuitem" onClick={startRename} style={menuItemStyle}>
+            <Pencil size={14} /> Rename
+          </button>
+          <div style={sectionLabelStyle}>Move to folder</div>
+          {folders.filter(folder => folder !== chat.folder).map(folder => (
+            <button key={folder} role="menuitem" onClick={() => moveTo(folder)} style={menuItemStyle}>
+              <Folder size={14} /> {folder}
+            </button>
+          ))}
+          {chat.folder && (
+            <button role="menuitem" onClick={() => moveTo(null)} style={menuItemStyle}>
+              <X size={14} /> Remove from {chat.folder}
+            </button>
+          )}
+          <form
+            onSubmit={(e) => { e.preventDefault(); if (newFolder.trim()) moveTo(newFolder); }}
+            style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '4px 10px' }}
+          >
+            <FolderPlus size={14} color={theme.textSecondary} />
+            <input
+              value={newFolder}
+              onChange={(e) => setNewFolder(e.target.value)}
+              placeholder="New folder"
+              aria-label="New folder name"
+              style={{ flex: 1, minWidth: 0, padding: '4px 0', border: 'none', borderBottom: `1px solid ${theme.textSecondary}40`, outline: 'none', background: 'transparent', color: theme.textPrimary, fontSize: 13 }}
+            />
+          </form>
+          <div style={sectionLabelStyle}>Export</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, padding: '0 6px 6px' }}>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                role="menuitem"
+                onClick={() => { closeMenu(); onExport(chat, format); }}
+                style={{ ...menuItemStyle, width: 'auto', padding: '6px 8px' }}
+              >
+                <Download size={12} /> {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const linkButtonStyle = (color) => ({ padding: 0, border: 'none', background: 'transparent', color, fontSize: 12, cursor: 'pointer' });
+
+// Chats deleted in the last TRASH_RETENTION_DAYS days, newest first
+const TrashView = ({ trash, theme, onRestore, onPurge, onEmpty, onBack }) => {
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const daysLeft = (chat) => Math.max(0, Math.ceil(TRASH_RETENTION_DAYS - (Date.now() - chat.deletedAt.getTime()) / (24 * 60 * 60 * 1000)));
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+        <button onClick={onBack} style={{ ...linkButtonStyle(theme.accentSoftBlue), display: 'flex', alignItems: 'center', gap: 4, fontSize: 13 }}>
+          <ChevronLeft size={14} /> Chats
+        </button>
+        {trash.length > 0 && !confirmEmpty && (
+          <button onClick={() => setConfirmEmpty(true)} style={linkButtonStyle(theme.errorColor)}>Empty Trash</button>
+        )}
+      </div>
+      {confirmEmpty && (
+        <div role="alert" style={{ padding: 12, marginBottom: 12, borderRadius: 8, backgroundColor: `${theme.errorColor}14`, fontSize: 12, color: theme.textPrimary }}>
+          Delete {trash.length} {trash.length === 1 ? 'chat' : 'chats'} for good? This cannot be undone.
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 12, marginTop: 8 }}>
+            <button onClick={() => setConfirmEmpty(false)} style={linkButtonStyle(theme.textSecondary)}>Cancel</button>
+            <button onClick={() => { setConfirmEmpty(false); onEmpty(); }} style={{ ...linkButtonStyle(theme.errorColor), fontWeight: 600 }}>Delete all</button>
+          </div>
+        </div>
+      )}
+      <div style={{ fontSize: 12, color: theme.textSecondary, marginBottom: 12 }}>
+        {trash.length === 0 ? 'Trash is empty.' : `Chats in the Trash are deleted for good after ${TRASH_RETENTION_DAYS} days.`}
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+        {trash.map(chat => (
+          <div key={chat.id} style={{ display: 'flex', alignItems: 'center', gap: 4, padding: '8px 4px 8px 12px', borderRadius: 8, backgroundColor: `${theme.textSecondary}0A` }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: 14, fontWeight: 500, color: theme.textPrimary, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{chat.title}</div>
+              <div style={{ fontSize: 12, color: theme.textSecondary }}>
+                Deleted {chat.deletedAt.toLocaleDateString()} · {daysLeft(chat)} {daysLeft(chat) === 1 ? 'day' : 'days'} left
+              </div>
+            </div>
+            <button
+              onClick={() => onRestore(chat)}
+              aria-label="Restore"
+              title="Restore"
+              style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}
+            >
+              <RotateCcw size={14} color={theme.textPrimary} />
+            </button>
+            <button
+              onClick={() => onPurge(chat)}
+              aria-label="Delete for good"
+              title="Delete for good"
+              style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}
+            >
+              <Trash2 size={14} color={theme.errorColor} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Loads the next page of chats when scrolled into view
+const LoadMoreSentinel = ({ onLoadMore, isLoadingMore, theme }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) onLoadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [onLoadMore]);
+
+  return (
+    <div ref={ref} style={{ fontSize: 12, color: theme.textSecondary, padding: '4px 0 12px', minHeight: 1 }}>
+      {isLoadingMore ? 'Loading more…' : (
+        <button
+          onClick={onLoadMore}
+          style={{ padding: 0, border: 'none', background: 'transparent', color: theme.accentSoftBlue, fontSize: 12, cursor: 'pointer' }}
+        >
+          Show older chats
+        </button>
+      )}
+    </div>
+  );
+};
+
+const Sidebar = ({ isOpen, onClose, chatHistory, folders, trash, totalChats, onClearHistory, onRestoreChat, onPurgeChat, onEmptyTrash, hasMore, isLoadingMore, onLoadMore, searchCoverage, isLoadingHistory, historyError, syncState, onRetryHistory, onSelectChat, onDeleteChat, onRenameChat, onSetPinned, onMoveToFolder, onExportChat, onImportChat, onNewChat, onSearch, onOpenSearchResult, theme }) => {
+  // Kept while the sidebar is closed, so reopening it shows the same results
+  const [search, setSearch] = useState({ query: '', mode: null, range: 'any' });
+  const [folderFilter, setFolderFilter] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [confirmClear, setConfirmClear] = useState(false);
+  const importInputRef = useRef(null);
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // the same file can be picked again
+    if (file) onImportChat(await file.text());
+  };
+
+  if (!isOpen) return null;
+  const isSearching = search.query.trim().length > 0;
+  const searchResults = isSearching ? onSearch(search.query, { mode: search.mode, range: search.range }) : [];
+  const activeFolder = folders.includes(folderFilter) ? folderFilter : null;
+  const groups = groupChatSessions(activeFolder ? chatHistory.filter(chat => chat.folder === activeFolder) : chatHistory);
+  return (
+    <div style={{ position: 'fixed', inset: 0, zIndex: 50, display: 'flex' }}>
+      <div style={{ flex: 1, backgroundColor: 'rgba(0, 0, 0, 0.5)' }} onClick={onClose} />
+      <div style={{ width: 320, height: '100%', padding: 24, paddingTop: 'max(24px, env(safe-area-inset-top))', overflowY: 'auto', backgroundColor: theme.backgroundSurface }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 24 }}>
+          <h2 style={{ fontSize: 18, fontWeight: 600, color: theme.textPrimary, margin: 0 }}>Chat History</h2>
+          <div style={{ display: 'flex' }}>
+            <button
+              onClick={() => importInputRef.current?.click()}
+              aria-label="Import chat from JSON"
+              title="Import chat from JSON"
+              style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}
+            >
+              <Upload size={16} color={theme.textPrimary} />
+            </button>
+            <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImportFile} style={{ display: 'none' }} />
+            <button onClick={onNewChat} style={{ padding: 8, borderRadius: 8, border: 'none', backgroundColor: 'transparent', cursor: 'pointer' }}>
+              <Edit3 size={16} color={theme.textPrimary} />
+            </button>
+          </div>
+        </div>
+
+        <SyncStatusLine syncState={syncState} theme={theme} onRetry={onRetryHistory} />
+
+        <AccountPanel theme={theme} />
+
+        {showTrash ? (
+          <TrashView
+            trash={trash}
+            theme={theme}
+            onRestore={onRestoreChat}
+            onPurge={onPurgeChat}
+            onEmpty={onEmptyTrash}
+            onBack={() => setShowTrash(false)}
+          />
+        ) : (
+          <>
+          <ChatSearchPanel search={search} setSearch={setSearch} results={searchResults} coverage={searchCoverage} onOpenResult={onOpenSearchResult} theme={theme} />
+
+          {!isSearching && historyError && (
+            <div role="alert" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, padding: 12, marginBottom: 12, borderRadius: 8, backgroundColor: `${theme.errorColor}14` }}>
+              <span style={{ fontSize: 12, color: theme.errorColor }}>{historyError}</span>
+              <button
+                onClick={onRetryHistory}
+                style={{ padding: 0, border: 'none', background: 'transparent', color: theme.accentSoftBlue, fontSize: 12, cursor: 'pointer', textDecoration: 'underline', flexShrink: 0 }}
+              >
+                Retry
+              </button>
+            </div>
+          )}
+          {!isSearching && isLoadingHistory && chatHistory.length === 0 && (
+            <div style={{ fontSize: 13, color: theme.textSecondary, padding: '4px 0 12px' }}>Loading chats…</div>
+          )}
+          {!isSearching && !isLoadingHistory && !historyError && chatHistory.length === 0 && (
+            <div style={{ fontSize: 13, color: theme.textSecondary, padding: '4px 0 12px' }}>Your chats will appear here.</div>
+          )}
+
+          {!isSearching && folders.length > 0 && (
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 16 }}>
+              <button onClick={() => setFolderFilter(null)} aria-pressed={!activeFolder} style={chipStyle(theme, !activeFolder)}>All</button>
+              {folders.map(folder => (
+                <button key={folder} onClick={() => setFolderFilter(folder)} aria-pressed={activeFolder === folder} style={chipStyle(theme, activeFolder === folder)}>
+                  <Folder size={12} /> {folder}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {!isSearching && groups.map(group => (
+            <div key={group.key} style={{ marginBottom: 16 }}>
+              <div style={{ fontSize: 11, fontWeight: 500, textTransform: 'uppercase', letterSpacing: .5, color: theme.textSecondary, marginBottom: 8 }}>
+                {group.label}
+              </div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                {group.sessions.map((chat) => (
+                  <ChatRow
+                    key={chat.id}
+                    chat={chat}
+                    folders={folders}
+                    theme={theme}
+                    onSelect={onSelectChat}
+                    onDelete={onDeleteChat}
+                    onRename={onRenameChat}
+                    onSetPinned={onSetPinned}
+                    onMoveToFolder={onMoveToFolder}
+                    onExport={onExportChat}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {!isSearching && hasMore && (
+            <LoadMoreSentinel onLoadMore={onLoadMore} isLoadingMore={isLoadingMore} theme={theme} />
+          )}
+
+          {!isSearching && (
+            <div style={{ borderTop: `1px solid ${theme.textSecondary}20`, paddingTop: 12, marginTop: 8 }}>
+              {confirmClear ? (
+                <div role="alert" style={{ fontSize: 12, color: theme.textPrimary }}>
+                  Move all {totalChats} {totalChats === 1 ? 'chat' : 'chats'} to the Trash?
+                  <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 12, marginTop: 8 }}>
+                    <button onClick={() => setConfirmClear(false)} style={linkButtonStyle(theme.textSecondary)}>Cancel</button>
+                    <button onClick={() => { setConfirmClear(false); onClearHistory(); }} style={{ ...linkButtonStyle(theme.errorColor), fontWeight: 600 }}>Move to Trash</button>
+                  </div>
+                </div>
+              ) : (
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <button onClick={() => setShowTrash(true)} style={{ ...linkButtonStyle(theme.textSecondary), display: 'flex', alignItems: 'center', gap: 4 }}>
+                    <Trash2 size={12} /> Trash{trash.length > 0 ? ` (${trash.length})` : ''}
+                  </button>
+                  {totalChats > 0 && (
+                    <button onClick={() => setConfirmClear(true)} style={linkButtonStyle(theme.errorColor)}>Clear history</button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/* =========================
+   INPUT BAR (reports its height)
+   ========================= */
+const PHI_HIGHLIGHT = '#F79009';
+
+// The text with detected identifiers marked
+const PHIHighlightedText = ({ text, matches, theme }) => {
+  const parts = [];
+  let cursor = 0;
+  matches.forEach((match, i) => {
+    if (match.start > cursor) parts.push(text.slice(cursor, match.start));
+    parts.push(
+      <mark
+        key={i}
+        title={PHI_TYPES[match.type].label}
+        style={{ backgroundColor: `${PHI_HIGHLIGHT}40`, color: theme.textPrimary, borderRadius: 3, padding: '0 2px', borderBottom: `2px solid ${PHI_HIGHLIGHT}` }}
+      >
+        {text.slice(match.start, match.end)}
+      </mark>
+    );
+    cursor = match.end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+};
+
+// Shown instead of sending while PHI mode is off and the query has likely identifiers
+const PHIReviewPanel = ({ review, theme, onRedact, onSendAnyway, onCancel }) => (
+  <div
+    role="alertdialog"
+    aria-label="Possible patient identifiers"
+    style={{ margin: '0 0 8px', padding: 12, borderRadius: 12, backgroundColor: theme.backgroundSurface, border: `1px solid ${PHI_HIGHLIGHT}80`, boxShadow: '0 2px 8px rgba(0,0,0,0.1)' }}
+  >
+    <div style={{ fontSize: 13, fontWeight: 600, color: theme.textPrimary }}>Possible patient identifiers</div>
+    <div style={{ fontSize: 12, color: theme.textSecondary, marginTop: 2 }}>
+      PHI mode is off for your organization, so clinical data must be de-identified before sending. Found {summarizePHI(review.matches)}.
+    </div>
+    <div style={{ marginTop: 8, maxHeight: 120, overflowY: 'auto', fontSize: 14, lineHeight: 1.6, color: theme.textPrimary, whiteSpace: 'pre-wrap' }}>
+      <PHIHighlightedText text={review.text} matches={review.matches} theme={theme} />
+    </div>
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 8, marginTop: 10, flexWrap: 'wrap' }}>
+      <button
+        onClick={onSendAnyway}
+        style={{ padding: '6px 10px', border: 'none', background: 'transparent', color: theme.textSecondary, fontSize: 12, cursor: 'pointer', textDecoration: 'underline' }}
+      >
+        Not PHI, send as is
+      </button>
+      <button
+        onClick={onCancel}
+        style={{ padding: '6px 12px', borderRadius: 50, border: `1px solid ${theme.textSecondary}40`, background: 'transparent', color: theme.textPrimary, fontSize: 12, cursor: 'pointer' }}
+      >
+        Keep editing
+      </button>
+      <button
+        onClick={onRedact}
+        style={{ padding: '6px 12px', borderRadius: 50, border: 'none', backgroundColor: theme.accentSoftBlue, color: '#fff', fontSize: 12, fontWeight: 500, cursor: 'pointer' }}
+      >
+        Redact and send
+      </button>
+    </div>
+  </div>
+);
+
+const InputBar = ({
   query,
   setQuery,
   currentMode,
@@ -939,11 +1888,15 @@ const InputBar = ({
   isLoading,
   speechRecognition,
   theme,
-  onHeightChange
+  onHeightChange,
+  imageInput,
+  phiModeEnabled,
+  onRedact
 }) => {
   const containerRef = useRef(null);
   const textareaRef = useRef(null);
   const [textareaHeight, setTextareaHeight] = useState(32);
+  const [isDragging, setIsDragging] = useState(false);
 
   useEffect(() => {
     if (!containerRef.current) return;
@@ -973,26 +1926,70 @@ const InputBar = ({
 
   const getPlaceholder = () => (
     speechRecognition.isRecording ? 'Listening...' :
+    imageInput.images.length > 0 ? 'Ask about the attached image' :
     currentMode === 'reason' ? 'Present your case' :
     currentMode === 'write' ? 'Outline your plan' : 'Ask anything'
   );
 
   const isDisabled = isStreaming || isLoading;
+  const canSend = !!query.trim() && !imageInput.isProcessing;
+
+  // With PHI mode on, identifiers are only pointed out while typing
+  const phiMatches = useMemo(() => (phiModeEnabled ? detectPHI(query) : []), [phiModeEnabled, query]);
+  const canAttach = !isDisabled && imageInput.images.length < MAX_ATTACHED_IMAGES;
+
+  // Images can be dropped anywhere on the composer
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+  const handleDragOver = (e) => {
+    if (!hasFiles(e) || !canAttach) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+  };
+  const handleDrop = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    setIsDragging(false);
+    if (canAttach) imageInput.addImages(e.dataTransfer.files);
+  };
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+    if (files.length === 0) return;
+    e.preventDefault();
+    if (canAttach) imageInput.addImages(files);
+  };
 
   return (
     <div
       ref={containerRef}
-      style={{ padding: '8px 16px 4px 16px', paddingBottom: 'max(8px, env(safe-area-inset-bottom))', backgroundColor: theme.backgroundSurface, borderTopLeftRadius: 20, borderTopRightRadius: 20, boxShadow: '0 -2px 8px rgba(0,0,0,0.1)' }}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      style={{
+        padding: '8px 16px 4px 16px', paddingBottom: 'max(8px, env(safe-area-inset-bottom))', backgroundColor: theme.backgroundSurface,
+        borderTopLeftRadius: 20, borderTopRightRadius: 20, boxShadow: '0 -2px 8px rgba(0,0,0,0.1)',
+        outline: isDragging ? `2px dashed ${theme.accentSoftBlue}` : 'none', outlineOffset: -4
+      }}
     >
+      {(imageInput.images.length > 0 || imageInput.isProcessing || imageInput.error) && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '8px 8px 4px' }}>
+          <ImageThumbnails images={imageInput.images} theme={theme} size={48} onRemove={isDisabled ? null : imageInput.removeImage} />
+          {imageInput.isProcessing && <span style={{ fontSize: 12, color: theme.textSecondary }}>Preparing image...</span>}
+          {imageInput.error && !imageInput.isProcessing && <span style={{ fontSize: 12, color: theme.errorColor }}>{imageInput.error}</span>}
+        </div>
+      )}
       <div style={{ position: 'relative', marginBottom: 0, border: 'none', outline: 'none' }}>
         <textarea
           ref={textareaRef}
           value={query}
           onChange={(e) => setQuery(e.target.value)}
+          onPaste={handlePaste}
           onKeyDown={(e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
               e.preventDefault();
-              if (query.trim()) onSend();
+              if (canSend) onSend();
             }
           }}
           placeholder={getPlaceholder()}
@@ -1004,6 +2001,19 @@ const InputBar = ({
           }}
         />
 
+        {phiMatches.length > 0 && !isDisabled && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '0 8px 8px', fontSize: 12, color: theme.textSecondary }}>
+            <span style={{ width: 6, height: 6, borderRadius: '50%', backgroundColor: PHI_HIGHLIGHT, flexShrink: 0 }} />
+            <span style={{ flex: 1 }}>Possible identifiers: {summarizePHI(phiMatches)}. PHI mode is enabled for your organization.</span>
+            <button
+              onClick={() => setQuery(onRedact(query, phiMatches))}
+              style={{ padding: 0, border: 'none', background: 'transparent', color: theme.accentSoftBlue, fontSize: 12, fontWeight: 500, cursor: 'pointer' }}
+            >
+              Redact
+            </button>
+          </div>
+        )}
+
         {speechRecognition.isRecording && (
           <div style={{ position: 'absolute', right: 12, top: 0, display: 'flex', alignItems: 'center', gap: 4 }}>
             <span style={{ fontSize: 12, color: theme.accentSoftBlue }}>Listening</span>
@@ -1019,6 +2029,16 @@ const InputBar = ({
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: -8 }}>
         <ModeSwitcher currentMode={currentMode} onModeChange={onModeChange} isDisabled={isStreaming || isLoading} theme={theme} />
         <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <ImagePicker onFilesSelected={imageInput.addImages} multiple disabled={!canAttach}>
+            <div
+              role="button"
+              aria-label="Attach image"
+              style={{ padding: 8, display: 'flex', alignItems: 'center', justifyContent: 'center', color: theme.accentSoftBlue }}
+            >
+              <ImagePlus size={26} />
+            </div>
+          </ImagePicker>
+
           <button
             onClick={speechRecognition.toggleRecording}
             disabled={!speechRecognition.isAvailable || isStreaming || isLoading}
@@ -1034,11 +2054,11 @@ const InputBar = ({
 
           <button
             onClick={isStreaming ? onStop : onSend}
-            disabled={!isStreaming && !query.trim()}
+            disabled={!isStreaming && !canSend}
             aria-label={isStreaming ? 'Stop response' : 'Send'}
             style={{ padding: 8, borderRadius: '50%', border: 'none', background: 'transparent', cursor: 'pointer',
               color: isStreaming ? theme.errorColor : theme.accentSoftBlue,
-              opacity: (!isStreaming && !query.trim()) ? 0.5 : 1, display: 'flex', alignItems: 'center', justifyContent: 'center' }}
+              opacity: (!isStreaming && !canSend) ? 0.5 : 1, display: 'flex', alignItems: 'center', justifyContent: 'center' }}
           >
             {isStreaming ? <Square size={28} fill="currentColor" /> : <ArrowUp size={28} />}
           </button>
@@ -1055,11 +2075,65 @@ const InputBar = ({
 /* =========================
    APP
    ========================= */
+// Append a resumed answer to its partial text, dropping any text the model repeated
+const joinContinuation = (partial, continuation) => {
+  if (!partial) return continuation;
+  const maxOverlap = Math.min(200, partial.length, continuation.length);
+  for (let size = maxOverlap; size >= 8; size--) {
+    if (partial.endsWith(continuation.slice(0, size))) return partial + continuation.slice(size);
+  }
+  return partial + continuation;
+};
+
+const MODE_LABELS = { search: 'Search', reason: 'Reason', write: 'Write' };
+
+// An assistant message keeps every generated version in `versions`; its
+// top-level content, citations and mode always mirror the selected one, so
+// context building and saving only ever see the chosen answer.
+const VERSION_FIELDS = ['content', 'citations', 'mode', 'isIncomplete', 'timestamp'];
+
+const pickVersionFields = (source) => Object.fromEntries(
+  VERSION_FIELDS.filter(field => field in source).map(field => [field, source[field]])
+);
+
+const messageVersions = (message) => (
+  message.versions?.length ? message.versions : [pickVersionFields(message)]
+);
+
+const selectVersion = (message, index) => {
+  const versions = messageVersions(message);
+  const versionIndex = Math.max(0, Math.min(index, versions.length - 1));
+  return { ...message, ...versions[versionIndex], versions, versionIndex, error: null };
+};
+
+const addVersion = (message, version) => {
+  const versions = [...messageVersions(message), version];
+  return selectVersion({ ...message, versions }, versions.length - 1);
+};
+
+// Patch the selected version along with the top-level fields
+const updateSelectedVersion = (message, changes) => {
+  const updated = { ...message, ...changes };
+  if (!message.versions?.length) return updated;
+  const versionChanges = pickVersionFields(changes);
+  updated.versions = message.versions.map((version, i) => (
+    i === message.versionIndex ? { ...version, ...versionChanges } : version
+  ));
+  return updated;
+};
+
 const AstraApp = () => {
   const { colors: theme, isDark } = useTheme();
+  const syntax = isDark ? codeColors.dark : codeColors.light;
   const speechRecognition = useSpeechRecognition();
-
-  const [messages, setMessages] = useState([]);
+  const imageInput = useImageInputManager();
+  const [phiModeEnabled, setPhiModeEnabled] = useState(() => isPHIModeEnabled());
+  const [phiReview, setPhiReview] = useState(null); // { text, matches, editedMessage } awaiting de-identification
+  const phiPlaceholdersRef = useRef({}); // keeps [NAME-1] pointing at the same person for the whole chat
+
+  // Every message node of the chat; `messages` is the branch on screen
+  const [conversation, setConversation] = useState([]);
+  const messages = useMemo(() => activeThread(conversation), [conversation]);
   const [query, setQuery] = useState('');
   const [currentMode, setCurrentMode] = useState('search');
 
@@ -1067,15 +2141,26 @@ const AstraApp = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [hasFirstToken, setHasFirstToken] = useState(false);
   const [streamingContent, setStreamingContent] = useState('');
+  const [streamStatus, setStreamStatus] = useState(null);
+  const [streamTarget, setStreamTarget] = useState(null); // { id, kind, mode } when streaming into an existing answer
+  const activeStreamRef = useRef(null);
 
   const [showSidebar, setShowSidebar] = useState(false);
-  const [chatHistory, setChatHistory] = useState([]);
+  const chatHistory = useChatHistoryManager();
+  const { saveCurrentChat, openSession: loadSession } = chatHistory;
+  // Chats get their ID up front so local saves and sync agree on it
+  const [chatId, setChatId] = useState(() => crypto.randomUUID());
+  const savedConversationRef = useRef(null);
+  const loadedPulledAtRef = useRef(null); // when the open chat's content last came from another device
+  const openSession = chatHistory.chatSessions.find(session => session.id === chatId) || null;
+  const [scrollTargetId, setScrollTargetId] = useState(null); // message to bring into view, from search
+  const [undoToast, setUndoToast] = useState(null); // { ids, message, reopen } after a move to Trash
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
 
   const [selectedCitation, setSelectedCitation] = useState(null);
   const [showCitationOverlay, setShowCitationOverlay] = useState(false);
 
   const scrollRef = useRef(null);
-  const abortControllerRef = useRef(null);
   const [inputBarHeight, setInputBarHeight] = useState(0);
 
   // Add scroll bump function for new user requests
@@ -1087,10 +2172,51 @@ const AstraApp = () => {
 
   // Removed all scrollToBottom functionality - no more autoscroll!
 
+  // PHI mode follows the runtime config, which may load or change after mount
+  useEffect(() => subscribeToConfig(() => setPhiModeEnabled(isPHIModeEnabled())), []);
+
+  // Persist the chat whenever it settles: after an answer completes, stops or
+  // fails, an edit, or a branch / version switch
+  useEffect(() => {
+    if (isStreaming || conversation.length === 0 || conversation === savedConversationRef.current) return;
+    savedConversationRef.current = conversation;
+    saveCurrentChat(conversation, false, chatId, phiPlaceholdersRef.current);
+  }, [conversation, isStreaming, chatId, saveCurrentChat]);
+
+  // A sync brought in another device's edits to the open chat
+  useEffect(() => {
+    if (!openSession?.pulledAt || openSession.pulledAt === loadedPulledAtRef.current) return;
+    if (openSession.isPending || isStreaming) return;
+    loadedPulledAtRef.current = openSession.pulledAt;
+    // The pull brought metadata only; read the new messages
+    loadSession(openSession.id).then(session => {
+      if (!session || loadedPulledAtRef.current !== openSession.pulledAt) return; // another chat was opened meanwhile
+      loadedPulledAtRef.current = session.pulledAt;
+      savedConversationRef.current = session.messages;
+      setConversation(session.messages);
+    });
+  }, [openSession, isStreaming, loadSession]);
+
+  // Center a search result once its chat is rendered and flash it briefly
+  useEffect(() => {
+    if (scrollTargetId === null) return;
+    const el = scrollRef.current?.querySelector(`[data-message-id="${CSS.escape(String(scrollTargetId))}"]`);
+    setScrollTargetId(null);
+    if (!el) return;
+    el.scrollIntoView({ block: 'center' });
+    el.animate?.([{ backgroundColor: `${theme.accentSoftBlue}33` }, { backgroundColor: 'transparent' }], { duration: 1600, easing: 'ease-out' });
+  }, [scrollTargetId, conversation, theme]);
+
   const resetChat = () => {
-    if (abortControllerRef.current) abortControllerRef.current.abort();
-    setMessages([]);
+    PerplexityClient.shared.cancelStreaming();
+    setChatId(crypto.randomUUID());
+    savedConversationRef.current = null;
+    loadedPulledAtRef.current = null;
+    setConversation([]);
     setQuery('');
+    imageInput.clearImages();
+    setPhiReview(null);
+    phiPlaceholdersRef.current = {};
     setIsStreaming(false);
     setIsLoading(false);
     setHasFirstToken(false);
@@ -1099,86 +2225,177 @@ const AstraApp = () => {
     speechRecognition.setRecognizedText('');
   };
 
-  const processStreamLine = (line, citations, onContent) => {
-    if (!line.startsWith('data:')) return;
-    const payload = line.substring(5).trim();
-    if (payload === '[DONE]') return;
-    if (!payload) return;
+  // Streams an answer to userMessage, using the messages before it as context.
+  // With continueMessage, the stopped answer is resumed and extended in place;
+  // with regenerateMessage, the new answer is added to it as another version.
+  const streamAnswer = (userMessage, priorMessages, { continueMessage = null, regenerateMessage = null, mode = null } = {}) => {
+    const context = buildConversationContext(priorMessages);
+    const targetMessage = continueMessage || regenerateMessage;
+    const answerMode = mode || continueMessage?.mode || userMessage.mode;
+
+    setConversation(prev => prev.map(m => {
+      if (m.id === userMessage.id) return { ...m, contextTurns: context.turns, error: null };
+      if (m.id === targetMessage?.id) return { ...m, error: null };
+      return m;
+    }));
+    activeStreamRef.current = { userMessageId: userMessage.id, continueMessage, regenerateMessage, mode: answerMode, content: '' };
+    setStreamTarget(targetMessage
+      ? { id: targetMessage.id, kind: continueMessage ? 'continue' : 'regenerate', mode: answerMode }
+      : null);
 
-    try {
-      const json = JSON.parse(payload);
-
-      // Citations only once for search mode
-      if (currentMode === 'search' && citations.length === 0) {
-        if (Array.isArray(json.citations) && json.citations.length) {
-          if (typeof json.citations[0] === 'object') {
-            json.citations.forEach(cd => {
-              if (cd.number && cd.title && cd.url) {
-                citations.push({
-                  number: cd.number,
-                  title: cd.title,
-                  url: cd.url,
-                  authors: cd.authors || (() => { try { return new URL(cd.url).hostname; } catch { return 'Unknown'; } })()
-                });
-              }
-            });
-          } else {
-            json.citations.forEach((urlString, i) => {
-              try {
-                const url = new URL(urlString);
-                citations.push({
-                  number: i + 1,
-                  title: extractTitle(url),
-                  url: urlString,
-                  authors: url.hostname || 'Unknown'
-                });
-              } catch {}
-            });
-          }
+    setIsLoading(true);
+    setIsStreaming(true);
+    setHasFirstToken(false);
+    setStreamingContent('');
+    setStreamStatus(null);
+
+    const cfg = new PerplexityClient.StreamConfig(
+      userMessage.content,
+      false,
+      answerMode === 'reason',
+      answerMode === 'write',
+      context,
+      continueMessage?.content || null,
+      userMessage.images || []
+    );
+
+    let finalContent = '';
+    let rafId = null;
+
+    const flush = () => {
+      rafId = null;
+      setStreamingContent(finalContent);
+    };
+
+    const handleDelta = (delta) => {
+      const wasEmpty = finalContent.length === 0;
+      finalContent += delta;
+      if (activeStreamRef.current) activeStreamRef.current.content = finalContent;
+      if (wasEmpty) {
+        setHasFirstToken(true);
+        setIsLoading(false);
+        setStreamStatus(null);
+      }
+      if (!rafId) rafId = requestAnimationFrame(flush);
+    };
+
+    const handleEvent = (event) => {
+      if (event.type === 'status') {
+        setStreamStatus(typeof event.data === 'string' ? event.data : event.data?.message || null);
+      }
+    };
+
+    const handleComplete = (result) => {
+      if (rafId) cancelAnimationFrame(rafId);
+      activeStreamRef.current = null;
+
+      if (continueMessage) {
+        const content = joinContinuation(continueMessage.content, finalContent);
+        if (result.success) {
+          setConversation(prev => prev.map(m => (m.id === continueMessage.id ? updateSelectedVersion(m, {
+            content: content.trim(),
+            citations: m.citations?.length ? m.citations : result.data,
+            isIncomplete: false
+          }) : m)));
+        } else {
+          // Keep whatever was resumed; the message stays incomplete
+          const error = classifyError(result.error);
+          setConversation(prev => prev.map(m => (m.id === continueMessage.id ? {
+            ...updateSelectedVersion(m, { content }),
+            error: { ...error.toJSON(), failedAt: Date.now(), action: 'continue' }
+          } : m)));
         }
+      } else if (regenerateMessage) {
+        if (result.success && finalContent.trim()) {
+          const version = { content: finalContent.trim(), citations: result.data, mode: answerMode, isIncomplete: false, timestamp: new Date() };
+          setConversation(prev => prev.map(m => (m.id === regenerateMessage.id ? addVersion(m, version) : m)));
+        } else {
+          // Existing versions stay as they were
+          const error = result.success
+            ? new BackendError(ErrorKind.MALFORMED, 'The response was empty')
+            : classifyError(result.error);
+          setConversation(prev => prev.map(m => (m.id === regenerateMessage.id ? {
+            ...m,
+            error: { ...error.toJSON(), failedAt: Date.now(), action: 'regenerate' }
+          } : m)));
+        }
+      } else if (result.success && finalContent.trim()) {
+        const assistantMessage = createMessage({
+          role: 'assistant',
+          content: finalContent.trim(),
+          citations: result.data,
+          mode: answerMode,
+          isStreamingComplete: true
+        });
+
+        setConversation(prev => appendMessage(prev, userMessage.id, assistantMessage));
+      } else {
+        // The failure is shown on the user's message, with a Retry action
+        const error = result.success
+          ? new BackendError(ErrorKind.MALFORMED, 'The response was empty')
+          : classifyError(result.error);
+        setConversation(prev => prev.map(m => (
+          m.id === userMessage.id ? { ...m, error: { ...error.toJSON(), failedAt: Date.now() } } : m
+        )));
       }
 
-      let content = null;
-      if (json.choices?.[0]?.delta?.content) content = json.choices[0].delta.content;
-      else if (json.choices?.[0]?.message?.content) content = json.choices[0].message.content;
-      else if (json.content) content = json.content;
-      else if (json.text) content = json.text;
+      setIsStreaming(false);
+      setIsLoading(false);
+      setStreamingContent('');
+      setHasFirstToken(false);
+      setStreamStatus(null);
+      setStreamTarget(null);
+    };
 
-      if (content) onContent(content);
-    } catch {
-      // ignore malformed chunks
+    PerplexityClient.shared.streamingAnswer(cfg, handleDelta, handleComplete, handleEvent);
+  };
+
+  const redactText = (text, matches) => {
+    const result = redactPHI(text, matches, phiPlaceholdersRef.current);
+    phiPlaceholdersRef.current = result.placeholders;
+    return result.text;
+  };
+
+  // Unless PHI mode is on, text with likely identifiers is reviewed before it
+  // leaves the browser; editedMessage is set when the text is an edit
+  const needsPHIReview = (text, editedMessage = null) => {
+    const matches = phiModeEnabled ? [] : detectPHI(text);
+    if (matches.length === 0) return false;
+    setPhiReview({ text, matches, editedMessage });
+    return true;
+  };
+
+  const resolvePHIReview = (redact) => {
+    if (!phiReview || isLoading || isStreaming) return;
+    const { text, matches, editedMessage } = phiReview;
+    const reviewed = redact ? redactText(text, matches) : text;
+    if (editedMessage) {
+      submitEdit(editedMessage, reviewed);
+    } else {
+      sendQuery(reviewed);
     }
   };
 
-  const extractTitle = (url) => {
-    const hostname = url.hostname?.toLowerCase() || '';
-    if (hostname.includes('pubmed')) return 'PubMed';
-    if (hostname.includes('pmc')) return 'PMC Article';
-    if (hostname.includes('dynamed')) return 'DynaMed';
-    if (hostname.includes('heart.org')) return 'American Heart Association';
-    if (hostname.includes('wikipedia')) return 'Wikipedia';
-    return url.hostname || 'External Link';
+  const handleSend = (text = query) => {
+    if (!text.trim() || isLoading || isStreaming || imageInput.isProcessing) return;
+    if (!needsPHIReview(text.trim())) sendQuery(text.trim());
   };
 
-  const handleSend = async () => {
-    if (!query.trim() || isLoading || isStreaming) return;
+  const sendQuery = (text) => {
+    setPhiReview(null);
 
-    const userMessage = {
-      id: Date.now(),
+    const parentId = messages.length > 0 ? messages[messages.length - 1].id : null;
+    const userMessage = createMessage({
       role: 'user',
-      content: query.trim(),
-      wasInReasonMode: currentMode === 'reason',
-      wasInWriteMode: currentMode === 'write',
-      timestamp: new Date()
-    };
+      content: text.trim(),
+      mode: currentMode,
+      images: imageInput.images,
+      parentId
+    });
 
-    setMessages(prev => [...prev, userMessage]);
-    const queryToSend = query.trim();
+    setConversation(prev => appendMessage(prev, parentId, userMessage));
     setQuery('');
-    setIsLoading(true);
-    setIsStreaming(true);
-    setHasFirstToken(false);
-    setStreamingContent('');
+    imageInput.clearImages();
 
     // Scroll bump when user sends a new request
     setTimeout(scrollToBottom, 100);
@@ -1186,144 +2403,122 @@ const AstraApp = () => {
     if (speechRecognition.isRecording) speechRecognition.toggleRecording();
     speechRecognition.setRecognizedText('');
 
-    abortControllerRef.current = new AbortController();
+    streamAnswer(userMessage, messages);
+  };
 
-    try {
-      const response = await fetch(import.meta.env.VITE_API_URL, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${import.meta.env.VITE_AUTH_TOKEN}`,
-          'Content-Type': 'application/json',
-          'apikey': import.meta.env.VITE_API_KEY,
-          'Accept': 'text/event-stream'
-        },
-        body: JSON.stringify({
-          query: queryToSend,
-          isClinical: false,
-          isReason: currentMode === 'reason',
-          isWrite: currentMode === 'write',
-          mode: currentMode,
-          stream: true
-        }),
-        signal: abortControllerRef.current.signal
-      });
+  const handleRetry = (message) => {
+    if (isLoading || isStreaming) return;
+    const index = messages.findIndex(m => m.id === message.id);
+    if (index === -1) return;
+    streamAnswer(message, messages.slice(0, index));
+  };
 
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const handleContinue = (assistantMessage) => {
+    if (isLoading || isStreaming) return;
+    const index = messages.findIndex(m => m.id === assistantMessage.id);
+    const userIndex = messages.slice(0, index).map(m => m.role).lastIndexOf('user');
+    if (index === -1 || userIndex === -1) return;
+    streamAnswer(messages[userIndex], messages.slice(0, userIndex), { continueMessage: assistantMessage });
+  };
 
-      const reader = response.body?.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      let collectedCitations = [];
-      let finalContent = '';
-      let rafId = null;
+  // Re-ask the question in the current mode; the answer becomes a new version
+  const handleRegenerate = (assistantMessage) => {
+    if (isLoading || isStreaming) return;
+    const index = messages.findIndex(m => m.id === assistantMessage.id);
+    const userIndex = messages.slice(0, index).map(m => m.role).lastIndexOf('user');
+    if (index === -1 || userIndex === -1) return;
+    streamAnswer(messages[userIndex], messages.slice(0, userIndex), { regenerateMessage: assistantMessage, mode: currentMode });
+  };
 
-      const flush = () => {
-        rafId = null;
-        setStreamingContent(finalContent);
-        // Removed scrollToBottom() call here
-      };
+  // An edited question starts a new branch beside the original one
+  const handleEditSubmit = (message, text) => {
+    if (!text.trim() || isLoading || isStreaming) return;
+    if (!needsPHIReview(text.trim(), message)) submitEdit(message, text.trim());
+  };
 
-      if (reader) {
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-            buffer += chunk;
-
-            const lines = buffer.split(/\r?\n/);
-            const endsWithNewline = buffer.endsWith('\n') || buffer.endsWith('\r\n');
-
-            const handleLine = (line) => {
-              if (!line.trim()) return;
-              processStreamLine(line.trim(), collectedCitations, (delta) => {
-                const wasEmpty = finalContent.length === 0;
-                finalContent += delta;
-                if (wasEmpty) {
-                  setHasFirstToken(true);
-                  setIsLoading(false);
-                }
-                if (!rafId) rafId = requestAnimationFrame(flush);
-              });
-            };
-
-            if (endsWithNewline) {
-              lines.forEach(handleLine);
-              buffer = '';
-            } else if (lines.length > 1) {
-              lines.slice(0, -1).forEach(handleLine);
-              buffer = lines[lines.length - 1] || '';
-            }
-          }
-
-          if (finalContent.trim()) {
-            const assistantMessage = {
-              id: Date.now() + 1,
-              role: 'assistant',
-              content: finalContent.trim(),
-              citations: collectedCitations,
-              timestamp: new Date(),
-              isStreamingComplete: true
-            };
-
-            setMessages(prev => [...prev, assistantMessage]);
-
-            const chatSession = {
-              id: Date.now() + 2,
-              title: userMessage.content.slice(0, 50) + (userMessage.content.length > 50 ? '...' : ''),
-              messages: [...messages, userMessage, assistantMessage],
-              timestamp: new Date(),
-              wasInClinicalMode: false
-            };
-            setChatHistory(prev => [chatSession, ...prev]);
-          }
-
-          setIsStreaming(false);
-          setStreamingContent('');
-          setHasFirstToken(false);
-        } catch (streamErr) {
-          if (streamErr.name === 'AbortError') return;
-          setIsStreaming(false);
-          setIsLoading(false);
-          setMessages(prev => [...prev, { id: Date.now() + 1, role: 'assistant', content: '⚠️ Error occurred while streaming response. Please try again.', timestamp: new Date() }]);
-        }
-      }
-    } catch (error) {
-      if (error.name === 'AbortError') return;
-      setIsLoading(false);
-      setIsStreaming(false);
-      setHasFirstToken(false);
-      setMessages(prev => [...prev, { id: Date.now() + 1, role: 'assistant', content: `⚠️ Error: ${error.message}. Please check your connection and try again.`, timestamp: new Date() }]);
-    } finally {
-      abortControllerRef.current = null;
-    }
+  const submitEdit = (message, text) => {
+    setPhiReview(null);
+    const index = messages.findIndex(m => m.id === message.id);
+    if (index === -1) return;
+
+    const parentId = message.parentId ?? null;
+    const editedMessage = createMessage({
+      role: 'user',
+      content: text.trim(),
+      mode: message.mode,
+      images: message.images,
+      parentId
+    });
+
+    setConversation(prev => appendMessage(prev, parentId, editedMessage));
+    streamAnswer(editedMessage, messages.slice(0, index));
+  };
+
+  const handleSelectBranch = (message, index) => {
+    const branch = siblingsOf(conversation, message)[index];
+    if (branch) setConversation(prev => selectBranch(prev, branch.id));
+  };
+
+  const handleSelectVersion = (assistantMessage, index) => {
+    setConversation(prev => prev.map(m => (m.id === assistantMessage.id ? selectVersion(m, index) : m)));
   };
 
+  // Keep a stopped answer, flagged incomplete, with the citations collected so far
   const handleStop = () => {
-    if (abortControllerRef.current) abortControllerRef.current.abort();
-    if (isStreaming) {
-      setIsStreaming(false);
-      if (streamingContent) {
-        const assistantMessage = { id: Date.now(), role: 'assistant', content: streamingContent, timestamp: new Date() };
-        setMessages(prev => [...prev, assistantMessage]);
+    const citations = PerplexityClient.shared.cancelStreaming();
+    const active = activeStreamRef.current;
+    activeStreamRef.current = null;
+
+    if (active?.continueMessage) {
+      const { continueMessage } = active;
+      setConversation(prev => prev.map(m => (m.id === continueMessage.id ? updateSelectedVersion(m, {
+        content: joinContinuation(continueMessage.content, active.content),
+        citations: m.citations?.length ? m.citations : citations,
+        isIncomplete: true
+      }) : m)));
+    } else if (active?.regenerateMessage) {
+      if (active.content) {
+        const version = { content: active.content, citations, mode: active.mode, isIncomplete: true, timestamp: new Date() };
+        setConversation(prev => prev.map(m => (m.id === active.regenerateMessage.id ? addVersion(m, version) : m)));
       }
-      setStreamingContent('');
-      setHasFirstToken(false);
+    } else if (active?.content) {
+      const assistantMessage = createMessage({
+        role: 'assistant',
+        content: active.content,
+        citations,
+        mode: active.mode,
+        isStreamingComplete: true,
+        isIncomplete: true
+      });
+      setConversation(prev => appendMessage(prev, active.userMessageId, assistantMessage));
     }
+
+    setIsStreaming(false);
+    setIsLoading(false);
+    setStreamingContent('');
+    setHasFirstToken(false);
+    setStreamStatus(null);
+    setStreamTarget(null);
   };
 
   const handleSampleTapped = (sampleQuery) => {
-    setQuery(sampleQuery);
-    // Scroll bump when sample is tapped
-    setTimeout(() => {
-      handleSend();
-      setTimeout(scrollToBottom, 100);
-    }, 50);
+    handleSend(sampleQuery);
   };
 
-  const loadChatSession = (session) => {
-    setMessages(session.messages);
+  // Open a chat from the list; `messageId` selects the branch holding that message
+  const loadChatSession = async (summary, messageId = null) => {
+    const session = await chatHistory.openSession(summary.id);
+    if (!session) return;
+    PerplexityClient.shared.cancelStreaming();
+    activeStreamRef.current = null;
+    setStreamTarget(null);
+    const nodes = messageId ? revealMessage(session.messages, messageId) : session.messages;
+    setChatId(session.id);
+    savedConversationRef.current = nodes;
+    loadedPulledAtRef.current = session.pulledAt;
+    setConversation(nodes);
+    setPhiReview(null);
+    phiPlaceholdersRef.current = session.phiPlaceholders || {};
     setQuery('');
     setIsStreaming(false);
     setIsLoading(false);
@@ -1332,8 +2527,48 @@ const AstraApp = () => {
     setShowSidebar(false);
   };
 
-  const deleteChatSession = (session) => {
-    setChatHistory(prev => prev.filter(chat => chat.id !== session.id));
+  // Open a search result with the branch holding the match selected
+  const openSearchResult = async (sessionId, messageId) => {
+    await loadChatSession({ id: sessionId }, messageId);
+    setScrollTargetId(messageId);
+  };
+
+  const handleResolveConflict = async (choice) => {
+    if (!openSession?.conflict || isStreaming) return true;
+    const result = await chatHistory.resolveConflict(openSession, choice);
+    if (result?.session) {
+      loadChatSession(result.session);
+    } else if (result) {
+      resetChat();
+    }
+    // On failure the chat stays open with the banner
+    return !!result;
+  };
+
+  const showUndoToast = (ids, reopen = null) => {
+    if (ids.length === 0) return;
+    setUndoToast({ ids, reopen, message: ids.length === 1 ? 'Chat moved to Trash' : `${ids.length} chats moved to Trash` });
+  };
+
+  const deleteChatSession = async (session) => {
+    // Deleting the open chat closes it, so the next answer does not recreate it
+    const wasOpen = session.id === chatId;
+    if (wasOpen) resetChat();
+    showUndoToast(await chatHistory.deleteChat(session), wasOpen ? session : null);
+  };
+
+  const clearChatHistory = async () => {
+    const wasOpen = openSession;
+    if (wasOpen) resetChat();
+    showUndoToast(await chatHistory.clearAllHistory(), wasOpen);
+  };
+
+  // Undo puts the chats back, and reopens the one that was open
+  const undoTrash = async () => {
+    const { ids, reopen } = undoToast;
+    setUndoToast(null);
+    await chatHistory.restoreChats(ids);
+    if (reopen && conversation.length === 0) await loadChatSession(reopen);
   };
 
   // Removed all useEffect hooks that called scrollToBottom
@@ -1370,6 +2605,10 @@ const AstraApp = () => {
               <EmptyState currentMode={currentMode} onSampleTapped={handleSampleTapped} theme={theme} />
             )}
 
+            {openSession?.conflict && (
+              <SyncConflictBanner key={openSession.id} session={openSession} theme={theme} onResolve={handleResolveConflict} disabled={isStreaming} />
+            )}
+
             {messages.map((message) => (
               <MessageBubble
                 key={message.id}
@@ -1377,29 +2616,50 @@ const AstraApp = () => {
                 theme={theme}
                 invertMarkdown={isDark}
                 onTapCitation={(citation) => { setSelectedCitation(citation); setShowCitationOverlay(true); }}
+                onRetry={handleRetry}
+                onContinue={handleContinue}
+                onRegenerate={handleRegenerate}
+                onSelectVersion={handleSelectVersion}
+                onEdit={handleEditSubmit}
+                onSelectBranch={handleSelectBranch}
+                branch={message.role === 'user' ? branchPosition(conversation, message) : null}
+                canRetry={!isLoading && !isStreaming}
+                live={message.id === streamTarget?.id ? { ...streamTarget, content: streamingContent } : null}
               />
             ))}
 
-            {isLoading && <LoadingIndicator theme={theme} />}
-            {isStreaming && hasFirstToken && <StreamingResponse content={streamingContent} theme={theme} invert={isDark} />}
+            {isLoading && !streamTarget && <LoadingIndicator theme={theme} status={streamStatus} />}
+            {isStreaming && hasFirstToken && !streamTarget && <StreamingResponse content={streamingContent} theme={theme} invert={isDark} />}
           </div>
         </div>
 
         {/* Input - matching width container */}
         <div style={{ flexShrink: 0, padding: '0 16px', boxSizing: 'border-box', width: '100%' }}>
           <div style={{ maxWidth: 900, margin: '0 auto', width: '100%' }}>
+            {phiReview && (
+              <PHIReviewPanel
+                review={phiReview}
+                theme={theme}
+                onRedact={() => resolvePHIReview(true)}
+                onSendAnyway={() => resolvePHIReview(false)}
+                onCancel={() => setPhiReview(null)}
+              />
+            )}
             <InputBar
               query={query}
               setQuery={setQuery}
               currentMode={currentMode}
               onModeChange={setCurrentMode}
-              onSend={handleSend}
+              onSend={() => handleSend()}
               onStop={handleStop}
               isStreaming={isStreaming}
               isLoading={isLoading}
               speechRecognition={speechRecognition}
               theme={theme}
               onHeightChange={setInputBarHeight}
+              imageInput={imageInput}
+              phiModeEnabled={phiModeEnabled}
+              onRedact={redactText}
             />
           </div>
         </div>
@@ -1409,13 +2669,37 @@ const AstraApp = () => {
       <Sidebar
         isOpen={showSidebar}
         onClose={() => setShowSidebar(false)}
-        chatHistory={chatHistory}
+        chatHistory={chatHistory.chatSessions}
+        folders={chatHistory.folders}
+        trash={chatHistory.trash}
+        totalChats={chatHistory.searchCoverage.total}
+        onClearHistory={clearChatHistory}
+        onRestoreChat={(chat) => chatHistory.restoreChats([chat.id])}
+        onPurgeChat={(chat) => chatHistory.purgeChats([chat])}
+        onEmptyTrash={chatHistory.emptyTrash}
+        hasMore={chatHistory.hasMore}
+        isLoadingMore={chatHistory.isLoadingMore}
+        onLoadMore={chatHistory.loadMore}
+        searchCoverage={chatHistory.searchCoverage}
+        isLoadingHistory={chatHistory.isLoading}
+        historyError={chatHistory.errorMessage}
+        syncState={chatHistory.syncState}
+        onRetryHistory={() => { chatHistory.clearError(); chatHistory.refresh(); }}
         onSelectChat={loadChatSession}
         onDeleteChat={deleteChatSession}
+        onRenameChat={chatHistory.renameChat}
+        onSetPinned={chatHistory.setPinned}
+        onMoveToFolder={chatHistory.moveToFolder}
+        onExportChat={chatHistory.exportChat}
+        onImportChat={chatHistory.importChat}
         onNewChat={() => { resetChat(); setShowSidebar(false); }}
+        onSearch={chatHistory.search}
+        onOpenSearchResult={openSearchResult}
         theme={theme}
       />
 
+      <UndoToast toast={undoToast} theme={theme} onUndo={undoTrash} onDismiss={dismissUndoToast} />
+
       {/* Citations */}
       {showCitationOverlay && selectedCitation && (
         <CitationPillOverlay
@@ -1548,8 +2832,27 @@ button:focus-visible, textarea:focus-visible { outline: 2px solid ${theme.accent
 .markdown-body pre code {
   background: transparent;
   padding: 0;
+  white-space: inherit;
 }
 
+/* Syntax highlighting (rehype-highlight), following the theme */
+.markdown-body .hljs-doctag, .markdown-body .hljs-keyword, .markdown-body .hljs-template-tag,
+.markdown-body .hljs-template-variable, .markdown-body .hljs-type, .markdown-body .hljs-variable.language_ { color: ${syntax.keyword}; }
+.markdown-body .hljs-title { color: ${syntax.title}; }
+.markdown-body .hljs-attr, .markdown-body .hljs-attribute, .markdown-body .hljs-literal, .markdown-body .hljs-meta,
+.markdown-body .hljs-number, .markdown-body .hljs-operator, .markdown-body .hljs-variable, .markdown-body .hljs-selector-attr,
+.markdown-body .hljs-selector-class, .markdown-body .hljs-selector-id { color: ${syntax.constant}; }
+.markdown-body .hljs-regexp, .markdown-body .hljs-string, .markdown-body .hljs-meta .hljs-string { color: ${syntax.string}; }
+.markdown-body .hljs-built_in, .markdown-body .hljs-symbol { color: ${syntax.builtIn}; }
+.markdown-body .hljs-comment, .markdown-body .hljs-code, .markdown-body .hljs-formula { color: ${syntax.comment}; }
+.markdown-body .hljs-name, .markdown-body .hljs-quote, .markdown-body .hljs-selector-tag, .markdown-body .hljs-selector-pseudo { color: ${syntax.tag}; }
+.markdown-body .hljs-section { color: ${syntax.section}; font-weight: bold; }
+.markdown-body .hljs-bullet { color: ${syntax.bullet}; }
+.markdown-body .hljs-emphasis { font-style: italic; }
+.markdown-body .hljs-strong { font-weight: bold; }
+.markdown-body .hljs-addition { color: ${syntax.addition}; background-color: ${syntax.additionBackground}; }
+.markdown-body .hljs-deletion { color: ${syntax.deletion}; background-color: ${syntax.deletionBackground}; }
+
 /* Lists themselves with more space */
 .markdown-body ol,
 .markdown-body ul {
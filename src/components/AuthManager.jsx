@@ -0,0 +1,433 @@
+// AuthManager.js - Sign-in, sessions and the bearer token for backend calls
+//
+// Providers (RuntimeConfig `authProvider`):
+//   supabase - Supabase Auth: email magic link and OAuth. Both redirect back to
+//              this page with the session in the URL hash.
+//   local    - stand-in for development and the mock backend. Signing in with
+//              an email succeeds immediately and issues an unsigned token.
+//   none     - no sign-in; requests carry the anon key as before.
+//
+// The session is kept in localStorage and refreshed shortly before the access
+// token expires. While signed in, backend calls send the user's JWT instead of
+// the anon key (see getAccessToken).
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { safeLocalStorage } from './Extensions';
+import { ErrorKind, classifyError, classifyStatus, fetchWithTimeout } from './BackendError';
+import { getRuntimeConfig, registerConfigValidator } from './RuntimeConfig';
+import { isMockBackendEnabled } from './MockBackend';
+
+const SESSION_KEY = 'astra_auth_session';
+const LOCAL_ACCOUNTS_KEY = 'astra_local_accounts';
+const AUTH_TIMEOUT_MS = 15000;
+const REFRESH_MARGIN_MS = 60000;     // refresh this long before expiry
+const REFRESH_RETRY_MS = 30000;      // after a network failure while refreshing
+const LOCAL_TOKEN_LIFETIME_S = 3600;
+
+const base64UrlEncode = (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeJWTPayload = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), char => char.charCodeAt(0))));
+  } catch {
+    return null;
+  }
+};
+
+// GoTrue token responses and the redirect hash share these field names
+const sessionFromTokens = ({ access_token, refresh_token, expires_in, expires_at, user }) => {
+  const claims = decodeJWTPayload(access_token) || {};
+  const expiresAt = expires_at
+    ? Number(expires_at) * 1000
+    : Date.now() + (Number(expires_in) || LOCAL_TOKEN_LIFETIME_S) * 1000;
+  return {
+    accessToken: access_token,
+    refreshToken: refresh_token,
+    expiresAt,
+    user: {
+      id: user?.id || claims.sub,
+      email: user?.email || claims.email || null
+    }
+  };
+};
+
+const redirectURL = () => `${window.location.origin}${window.location.pathname}`;
+
+/** Supabase Auth (GoTrue) over its REST API. */
+class SupabaseAuthProvider {
+  get id() {
+    return 'supabase';
+  }
+
+  get baseURL() {
+    const { authUrl, apiUrl } = getRuntimeConfig();
+    return `${(authUrl || new URL(apiUrl).origin).replace(/\/$/, '')}/auth/v1`;
+  }
+
+  async request(path, { method = 'POST', body, accessToken } = {}) {
+    const { apiKey } = getRuntimeConfig();
+    const headers = { 'Content-Type': 'application/json', 'apikey': apiKey };
+    if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`;
+
+    let response;
+    try {
+      response = await fetchWithTimeout(fetch, `${this.baseURL}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      }, AUTH_TIMEOUT_MS);
+    } catch (error) {
+      throw classifyError(error);
+    }
+
+    const json = await response.json().catch(() => ({}));
+    if (response.status >= 300) {
+      // GoTrue reports failures as { error_description }, { msg } or { message }
+      const message = json.error_description || json.msg || json.message || null;
+      // A rejected refresh token is a 400, but it means the session is gone
+      const status = response.status === 400 && path.includes('grant_type=refresh_token') ? 401 : response.status;
+      throw classifyStatus(status, message, response.headers);
+    }
+    return json;
+  }
+
+  async sendMagicLink(email) {
+    await this.request(`/otp?redirect_to=${encodeURIComponent(redirectURL())}`, {
+      body: { email, create_user: true }
+    });
+    return null;
+  }
+
+  signInWithOAuth(provider) {
+    const params = new URLSearchParams({ provider, redirect_to: redirectURL() });
+    window.location.assign(`${this.baseURL}/authorize?${params}`);
+    return null;
+  }
+
+  async refresh(session) {
+    const json = await this.request('/token?grant_type=refresh_token', {
+      body: { refresh_token: session.refreshToken }
+    });
+    return sessionFromTokens(json);
+  }
+
+  async signOut(session) {
+    await this.request('/logout', { accessToken: session.accessToken });
+  }
+}
+
+/**
+ * Signs in without a server. Each email maps to a stable user ID in this
+ * browser; tokens are JWT-shaped so the rest of the app treats them alike,
+ * but unsigned, so it is only allowed with the mock backend.
+ */
+class LocalAuthProvider {
+  get id() {
+    return 'local';
+  }
+
+  issue(email) {
+    const accounts = safeLocalStorage.getItem(LOCAL_ACCOUNTS_KEY, {}) || {};
+    if (!accounts[email]) {
+      accounts[email] = crypto.randomUUID();
+      safeLocalStorage.setItem(LOCAL_ACCOUNTS_KEY, accounts);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { sub: accounts[email], email, role: 'authenticated', iat: now, exp: now + LOCAL_TOKEN_LIFETIME_S };
+    return sessionFromTokens({
+      access_token: `${base64UrlEncode({ alg: 'none', typ: 'JWT' })}.${base64UrlEncode(claims)}.`,
+      refresh_token: crypto.randomUUID(),
+      expires_at: claims.exp
+    });
+  }
+
+  async sendMagicLink(email) {
+    return this.issue(email);
+  }
+
+  signInWithOAuth(provider) {
+    return this.issue(`${provider}-user@example.com`);
+  }
+
+  async refresh(session) {
+    return this.issue(session.user.email);
+  }
+
+  async signOut() {}
+}
+
+const providers = {
+  supabase: () => new SupabaseAuthProvider(),
+  local: () => new LocalAuthProvider()
+};
+
+registerConfigValidator((config) => {
+  const errors = [];
+  if (config.authProvider !== 'none' && !providers[config.authProvider]) {
+    errors.push(`Unknown authProvider "${config.authProvider}". Available: ${[...Object.keys(providers), 'none'].join(', ')}`);
+  } else if (config.authProvider === 'local' && !isMockBackendEnabled()) {
+    // Its tokens are unsigned: a real backend would accept any user ID
+    errors.push('authProvider "local" only works with the mock backend (?mock=1 or VITE_MOCK_BACKEND)');
+  } else if (config.authProvider === 'supabase' && !config.apiKey) {
+    errors.push('"apiKey" is required for Supabase Auth; set authProvider to "none" to disable sign-in');
+  }
+  return { errors, warnings: [] };
+});
+
+class AuthManager {
+  static shared = new AuthManager();
+
+  constructor() {
+    if (AuthManager.shared) {
+      return AuthManager.shared;
+    }
+    this.session = safeLocalStorage.getItem(SESSION_KEY, null);
+    this.isBusy = false;
+    this.error = null;
+    this.pendingEmail = null; // magic link sent, waiting for the user to open it
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.listeners = new Set();
+
+    // Another tab signed in, out or rotated the refresh token
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== SESSION_KEY) return;
+        this.session = safeLocalStorage.getItem(SESSION_KEY, null);
+        this.scheduleRefresh();
+        this.notifyListeners();
+      });
+    }
+  }
+
+  get providerId() {
+    // Mock mode never talks to a real auth server
+    return isMockBackendEnabled() ? 'local' : getRuntimeConfig().authProvider;
+  }
+
+  get provider() {
+    return providers[this.providerId]?.() || null;
+  }
+
+  get isEnabled() {
+    return this.provider !== null;
+  }
+
+  get user() {
+    return this.session?.user || null;
+  }
+
+  get isSignedIn() {
+    return !!this.session?.accessToken;
+  }
+
+  get oauthProviders() {
+    return (getRuntimeConfig().oauthProviders || '')
+      .split(',')
+      .map(provider => provider.trim())
+      .filter(Boolean);
+  }
+
+  /** Pick up a session returned in the URL hash, then refresh a stale one. Call once config is loaded. */
+  async initialize() {
+    if (!this.isEnabled) {
+      // Sign-in was turned off for this deployment; fall back to the anon key
+      if (this.session) this.setSession(null);
+      return;
+    }
+    this.consumeRedirect();
+    if (!this.session) return;
+
+    if (this.session.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+      await this.refresh();
+    } else {
+      this.scheduleRefresh();
+    }
+  }
+
+  consumeRedirect() {
+    if (typeof window === 'undefined' || !window.location.hash) return;
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (!params.has('access_token') && !params.has('error_description')) return;
+
+    if (params.has('access_token')) {
+      this.setSession(sessionFromTokens(Object.fromEntries(params)));
+      console.log(`🔑 Signed in as ${this.user?.email}`);
+    } else {
+      this.error = params.get('error_description');
+      console.log(`❌ Sign-in failed: ${this.error}`);
+    }
+
+    // Tokens must not stay in the address bar or history
+    const url = new URL(window.location.href);
+    url.hash = '';
+    window.history.replaceState(window.history.state, '', url);
+    this.notifyListeners();
+  }
+
+  async signInWithEmail(email) {
+    const provider = this.provider;
+    if (!provider) return;
+
+    this.isBusy = true;
+    this.error = null;
+    this.notifyListeners();
+
+    try {
+      const session = await provider.sendMagicLink(email.trim());
+      if (session) {
+        this.setSession(session);
+      } else {
+        this.pendingEmail = email.trim();
+      }
+    } catch (error) {
+      this.error = error.kind === ErrorKind.RATE_LIMIT
+        ? 'Too many sign-in emails. Wait a minute and try again.'
+        : `Could not send the sign-in link: ${error.message}`;
+      console.log(`❌ Magic link failed: ${error}`);
+    }
+
+    this.isBusy = false;
+    this.notifyListeners();
+  }
+
+  signInWithOAuth(oauthProvider) {
+    const session = this.provider?.signInWithOAuth(oauthProvider);
+    if (session) this.setSession(session);
+  }
+
+  async signOut() {
+    const session = this.session;
+    this.setSession(null);
+    try {
+      await this.provider?.signOut(session);
+    } catch (error) {
+      // The local session is gone either way; the server one expires on its own
+      console.log(`⚠️ Sign-out request failed: ${error}`);
+    }
+  }
+
+  /**
+   * Bearer token for backend calls: the user's access token, refreshed first
+   * when it is about to expire, or null when signed out.
+   */
+  async getAccessToken() {
+    if (!this.session) return null;
+    if (this.session.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+      await this.refresh();
+    }
+    return this.session?.accessToken || null;
+  }
+
+  // Concurrent callers share one refresh; a rejected refresh token signs out
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async performRefresh() {
+    const session = this.session;
+    if (!session || !this.provider) return;
+
+    try {
+      const refreshed = await this.provider.refresh(session);
+      // Signed out (or into another account) while the request was in flight
+      if (this.session?.refreshToken !== session.refreshToken) return;
+      this.setSession(refreshed);
+      console.log('🔑 Session refreshed');
+    } catch (error) {
+      if (error.kind === ErrorKind.AUTH || error.kind === ErrorKind.CLIENT) {
+        console.log(`❌ Session expired: ${error.message}`);
+        this.error = 'Your session expired. Sign in again.';
+        this.setSession(null);
+      } else {
+        // Offline: keep the session and try again shortly
+        console.log(`⚠️ Session refresh failed, retrying: ${error.message}`);
+        this.scheduleRefresh(REFRESH_RETRY_MS);
+      }
+    }
+  }
+
+  setSession(session) {
+    this.session = session;
+    if (session) {
+      safeLocalStorage.setItem(SESSION_KEY, session);
+      this.error = null;
+      this.pendingEmail = null;
+    } else {
+      safeLocalStorage.removeItem(SESSION_KEY);
+    }
+    this.scheduleRefresh();
+    this.notifyListeners();
+  }
+
+  scheduleRefresh(delay = null) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    if (!this.session) return;
+
+    const wait = delay ?? Math.max(0, this.session.expiresAt - Date.now() - REFRESH_MARGIN_MS);
+    this.refreshTimer = setTimeout(() => this.refresh(), wait);
+  }
+
+  clearError() {
+    this.error = null;
+    this.pendingEmail = null;
+    this.notifyListeners();
+  }
+
+  // Observable pattern for React components
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  snapshot() {
+    return {
+      user: this.user,
+      isSignedIn: this.isSignedIn,
+      isEnabled: this.isEnabled,
+      providerId: this.providerId,
+      oauthProviders: this.oauthProviders,
+      isBusy: this.isBusy,
+      pendingEmail: this.pendingEmail,
+      error: this.error
+    };
+  }
+
+  notifyListeners() {
+    const state = this.snapshot();
+    this.listeners.forEach(callback => callback(state));
+  }
+}
+
+// React hook to use AuthManager
+export const useAuth = () => {
+  const [state, setState] = useState(() => AuthManager.shared.snapshot());
+
+  useEffect(() => {
+    const unsubscribe = AuthManager.shared.subscribe(setState);
+    setState(AuthManager.shared.snapshot());
+    return unsubscribe;
+  }, []);
+
+  const signInWithEmail = useCallback((email) => AuthManager.shared.signInWithEmail(email), []);
+  const signInWithOAuth = useCallback((provider) => AuthManager.shared.signInWithOAuth(provider), []);
+  const signOut = useCallback(() => AuthManager.shared.signOut(), []);
+  const clearError = useCallback(() => AuthManager.shared.clearError(), []);
+
+  return { ...state, signInWithEmail, signInWithOAuth, signOut, clearError };
+};
+
+export default AuthManager;
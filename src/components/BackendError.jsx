@@ -0,0 +1,173 @@
+// BackendError.js - Typed backend failures and retry with jittered backoff
+
+export const ErrorKind = {
+  NETWORK: 'network',       // fetch rejected / connection dropped
+  TIMEOUT: 'timeout',       // no response or no stream activity in time
+  AUTH: 'auth',             // 401 / 403
+  RATE_LIMIT: 'rate_limit', // 429, honours Retry-After
+  SERVER: 'server',         // 5xx or an error event from the backend
+  CONFLICT: 'conflict',     // 409: the record changed on the server since it was read
+  CLIENT: 'client',         // other 4xx, not worth retrying
+  MALFORMED: 'malformed'    // undecodable or empty response body
+};
+
+export class BackendError extends Error {
+  constructor(kind, message, { status = null, retryAfter = null, cause = null, data = null } = {}) {
+    super(message);
+    this.name = 'BackendError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter; // milliseconds
+    this.cause = cause;
+    this.data = data;             // error body details, e.g. the server's copy on a conflict
+  }
+
+  get isRetryable() {
+    return [ErrorKind.NETWORK, ErrorKind.TIMEOUT, ErrorKind.RATE_LIMIT, ErrorKind.SERVER].includes(this.kind);
+  }
+
+  // Plain object stored on the failed message for the UI
+  toJSON() {
+    return {
+      kind: this.kind,
+      message: this.message,
+      status: this.status,
+      retryAfter: this.retryAfter
+    };
+  }
+}
+
+/** Retry-After is either delay-seconds or an HTTP date; returns milliseconds. */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+export const classifyStatus = (status, message, headers = null, data = null) => {
+  if (status === 401 || status === 403) {
+    return new BackendError(ErrorKind.AUTH, message || 'Not authorized', { status });
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(headers?.get?.('Retry-After'));
+    return new BackendError(ErrorKind.RATE_LIMIT, message || 'Too many requests', { status, retryAfter });
+  }
+  if (status === 409) {
+    return new BackendError(ErrorKind.CONFLICT, message || 'Changed elsewhere', { status, data });
+  }
+  if (status === 408 || status === 504) {
+    return new BackendError(ErrorKind.TIMEOUT, message || 'Request timed out', { status });
+  }
+  if (status >= 500) {
+    return new BackendError(ErrorKind.SERVER, message || `Server error: ${status}`, { status });
+  }
+  return new BackendError(ErrorKind.CLIENT, message || `Request failed: ${status}`, { status });
+};
+
+/** Normalise anything thrown by fetch / stream reading into a BackendError. */
+export const classifyError = (error) => {
+  if (error instanceof BackendError) return error;
+  if (error?.name === 'TimeoutError') {
+    return new BackendError(ErrorKind.TIMEOUT, 'Request timed out', { cause: error });
+  }
+  if (error instanceof TypeError || error?.name === 'NetworkError') {
+    return new BackendError(ErrorKind.NETWORK, 'Network connection lost', { cause: error });
+  }
+  if (error instanceof SyntaxError) {
+    return new BackendError(ErrorKind.MALFORMED, 'Malformed response from server', { cause: error });
+  }
+  return new BackendError(ErrorKind.SERVER, error?.message || 'Unknown error', { cause: error });
+};
+
+// "Full jitter" backoff: uniform in [0, min(maxDelay, baseDelay * 2^attempt)]
+export const backoffDelay = (attempt, baseDelay = 500, maxDelay = 8000) => {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('The operation was aborted.', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('The operation was aborted.', 'AbortError'));
+  }, { once: true });
+});
+
+/**
+ * Run an idempotent operation, retrying retryable BackendErrors. A 429's
+ * Retry-After takes precedence over the computed backoff; one longer than
+ * `maxRetryAfter` fails at once rather than holding the caller that long.
+ */
+export const withRetry = async (operation, { retries = 3, baseDelay = 500, maxDelay = 8000, maxRetryAfter = 30000, signal, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (rawError) {
+      if (rawError?.name === 'AbortError') throw rawError;
+      const error = classifyError(rawError);
+      if (!error.isRetryable || attempt >= retries) throw error;
+      if (error.retryAfter > maxRetryAfter) {
+        console.log(`⏳ Server asked to wait ${error.retryAfter}ms, not retrying`);
+        throw error;
+      }
+
+      const delay = error.retryAfter ?? backoffDelay(attempt, baseDelay, maxDelay);
+      console.log(`🔁 ${error.kind} error, retrying in ${delay}ms (attempt ${attempt + 1}/${retries})`);
+      onRetry?.(error, attempt + 1, delay);
+      await wait(delay, signal);
+    }
+  }
+};
+
+/** fetch() with a timeout that surfaces as a TimeoutError rather than an AbortError. */
+export const fetchWithTimeout = (fetchImpl, url, init = {}, timeout = 30000) => {
+  if (init.signal?.aborted) return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+  if (!timeout) return fetchImpl(url, init);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new DOMException('Request timed out', 'TimeoutError')), timeout);
+  const onAbort = () => controller.abort(init.signal.reason);
+  init.signal?.addEventListener('abort', onAbort, { once: true });
+
+  return fetchImpl(url, { ...init, signal: controller.signal })
+    .catch(error => {
+      if (controller.signal.reason?.name === 'TimeoutError' && !init.signal?.aborted) {
+        throw controller.signal.reason;
+      }
+      throw error;
+    })
+    // Unlinked once the headers arrive; a caller reading the body cancels it itself
+    .finally(() => {
+      clearTimeout(timer);
+      init.signal?.removeEventListener('abort', onAbort);
+    });
+};
+
+// Copy shown on a failed message for each kind
+export const errorPresentation = (error) => {
+  switch (error?.kind) {
+    case ErrorKind.NETWORK:
+      return { title: 'Connection lost', detail: 'Check your internet connection and try again.' };
+    case ErrorKind.TIMEOUT:
+      return { title: 'Request timed out', detail: 'The server took too long to respond.' };
+    case ErrorKind.AUTH:
+      return { title: 'Not authorized', detail: 'Your session may have expired. Sign in again, then retry.' };
+    case ErrorKind.CONFLICT:
+      return { title: 'Changed elsewhere', detail: 'This was changed on another device. Choose which version to keep.' };
+    case ErrorKind.RATE_LIMIT:
+      return { title: 'Too many requests', detail: 'Astra is receiving a lot of requests right now.' };
+    case ErrorKind.SERVER:
+      return { title: 'Server error', detail: error.status ? `The backend returned HTTP ${error.status}.` : error.message };
+    case ErrorKind.MALFORMED:
+      return { title: 'Unreadable response', detail: 'The response stream could not be decoded.' };
+    default:
+      return { title: 'Request failed', detail: error?.message || 'Unknown error' };
+  }
+};
+
+export default BackendError;
@@ -0,0 +1,77 @@
+// ChatDescriber.js - Titles and one-line descriptions for saved chats
+//
+// Once a chat's first answer is complete, ChatHistoryManager asks the backend
+// (describe_chat) for a short title and a one-line description. Offline, or
+// when the backend cannot answer, describeLocally() derives both from the
+// first question and answer; the backend is asked again on a later save.
+
+import { activeThread, toTree } from './ConversationTree';
+
+const TITLE_WORDS = 7;
+const TITLE_LENGTH = 60;
+const DESCRIPTION_LENGTH = 120;
+
+const MODE_PREFIXES = { reason: 'DDx: ', write: 'A&P: ' };
+
+// "68-yo female with…", "A 45 year old man presenting with…", "pt is a 3yo M c/o…"
+const DEMOGRAPHICS = /^(?:(?:the\s+)?(?:pt|patient)\s+(?:is\s+)?)?(?:an?\s+)?\d{1,3}\s*-?\s*(?:y\/?o|yo|yrs?|years?|year|month|mo|week|wk|day)s?(?:\s*-?\s*old)?\s*,?\s*(?:(?:m|f|male|female|man|woman|boy|girl|infant|child|gentleman|lady)\b)?\s*,?\s*(?:(?:who\s+)?(?:presents?|presenting)\s+with|with|w\/|c\/o|complaining\s+of|has|had)?\s*/i;
+
+// Headings that say what kind of answer it is, not what it is about
+const GENERIC_HEADING = /^(?:differential(?: diagnosis| diagnoses)?|ddx|assessment(?: (?:and|&) plan)?|a&p|plan|summary|overview|answer|key points|background|management|recommendations?)$/i;
+
+const TRAILING_FILLER = /\s+(?:and|or|with|of|for|in|on|at|the|a|an|to|x)$/i;
+
+const plainText = (markdown) => (markdown || '')
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\s*\[\d+\]/g, '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+  .replace(/[#*_>`|~]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const clip = (text, length) => (text.length > length ? `${text.slice(0, length - 1).replace(/\s+\S*$/, '')}…` : text);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * The first question and its answer on the selected branch, or null while the
+ * answer is missing, streaming or stopped early.
+ */
+export const firstExchange = (messages) => {
+  const thread = activeThread(toTree(messages || []));
+  const questionIndex = thread.findIndex(message => message.role === 'user');
+  const question = thread[questionIndex];
+  const answer = thread[questionIndex + 1];
+  if (!question || answer?.role !== 'assistant' || !answer.content?.trim()) return null;
+  if (answer.isStreamingComplete === false || answer.isIncomplete) return null;
+  return { question: question.content || '', answer: answer.content, mode: question.mode || 'search' };
+};
+
+// An answer that opens with a short heading usually names the topic best
+const leadingHeading = (answer) => {
+  const heading = answer.match(/^\s*#{1,3}\s+(.+)$/m)?.[1];
+  const text = plainText(heading).replace(/[:.]$/, '');
+  return text && !GENERIC_HEADING.test(text) && text.split(/\s+/).length <= TITLE_WORDS ? text : null;
+};
+
+const titleFromQuestion = (question) => {
+  const clause = plainText(question).replace(DEMOGRAPHICS, '').split(/[.?!;\n]|,\s+(?:and\s+)?(?:what|how|which|should|is|are|can)\b/i)[0];
+  const words = clause.replace(/^(?:what|how|which|can you|could you|please)\s+(?:is|are|was|should|would|do|does)?\s*/i, '').split(/\s+/).filter(Boolean);
+  let title = words.slice(0, TITLE_WORDS).join(' ').replace(/[,:;-]+$/, '');
+  while (TRAILING_FILLER.test(title)) title = title.replace(TRAILING_FILLER, '');
+  return title;
+};
+
+/** { title, description } from the first exchange, without the network. */
+export const describeLocally = ({ question, answer, mode }) => {
+  const topic = leadingHeading(answer) || titleFromQuestion(question) || clip(plainText(question), TITLE_LENGTH) || 'New Chat';
+  const body = plainText(answer.replace(/^[ \t]*#{1,6}\s+.+$/gm, ''));
+  const firstSentence = body.match(/^.+?[.!?](?=\s|$)/)?.[0] || body;
+
+  return {
+    title: clip(`${MODE_PREFIXES[mode] || ''}${capitalize(topic)}`, TITLE_LENGTH),
+    description: clip(firstSentence, DESCRIPTION_LENGTH)
+  };
+};
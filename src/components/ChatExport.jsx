@@ -0,0 +1,288 @@
+// ChatExport.js - Export a saved chat to Markdown, HTML, PDF or JSON, and import JSON
+//
+// Exports work on stored records (see ChatStore): messages in the backend's
+// dict format. Markdown, HTML and PDF show the selected branch; citations are
+// renumbered into one bibliography across the whole chat. JSON keeps every
+// message node, so parseChatExport() restores the chat exactly, including
+// edited branches and regenerated versions.
+
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { activeThread, toTree } from './ConversationTree';
+import { SCHEMA_VERSION, migrateChat } from './ChatSchema';
+import { renderExportDiagram } from './MermaidDiagram';
+import { fenceCheckedMermaidBlocks } from './MermaidBlocks';
+import { downloadBlob } from './Extensions';
+
+const EXPORT_FORMAT = 'astra-chat';
+const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', type: 'text/html' },
+  pdf: { label: 'PDF', extension: null, type: null }, // printed from the HTML layout
+  json: { label: 'JSON', extension: 'json', type: 'application/json' }
+};
+
+const REQUEST_LABELS = { search: 'Research', reason: 'DDx', write: 'A&P' };
+
+const roleLabel = (message) => (message.role === 'user' ? `You (${REQUEST_LABELS[message.mode] || REQUEST_LABELS.search})` : 'Astra');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Only web links are clickable in an exported page
+const isWebURL = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * One numbered list of every source cited in `thread`. Each answer numbers its
+ * own citations from 1, so `numbering` maps a message's local numbers to the
+ * shared ones.
+ */
+const buildBibliography = (thread) => {
+  const entries = [];
+  const byKey = new Map();
+  const numbering = new Map();
+
+  thread.forEach(message => {
+    const local = new Map();
+    (message.citations || []).forEach((citation, index) => {
+      const key = citation.url || citation.title;
+      if (!key) return;
+      if (!byKey.has(key)) {
+        byKey.set(key, entries.length + 1);
+        entries.push({ number: entries.length + 1, title: citation.title, url: citation.url, authors: citation.authors });
+      }
+      local.set(citation.number ?? index + 1, byKey.get(key));
+    });
+    numbering.set(message.id, local);
+  });
+
+  return { entries, numbering };
+};
+
+// Rewrite [n] markers to the bibliography's numbers; links like [text](url) are left alone
+const renumberCitations = (content, local, format) => (content || '').replace(/\[(\d+)\](?!\()/g, (marker, n) => {
+  const number = local?.get(Number(n));
+  return number ? format(number) : marker;
+});
+
+const referenceLine = (entry) => [entry.title, entry.authors, entry.url].filter(Boolean).join('. ');
+
+const threadOf = (chat) => activeThread(toTree(chat.messages || []));
+
+export const toMarkdown = (chat) => {
+  const thread = threadOf(chat);
+  const { entries, numbering } = buildBibliography(thread);
+
+  const lines = [`# ${chat.title}`, '', `_Exported from Astra · ${formatDate(chat.updatedAt)}_`, ''];
+  thread.forEach(message => {
+    lines.push(`## ${roleLabel(message)}`, '');
+    lines.push(renumberCitations(message.content, numbering.get(message.id), number => `[${number}]`).trim(), '');
+  });
+
+  if (entries.length > 0) {
+    lines.push('## References', '');
+    entries.forEach(entry => lines.push(`${entry.number}. ${referenceLine(entry)}`));
+    lines.push('');
+  }
+  return lines.join('\n');
+};
+
+export const toJSON = (chat) => {
+  const { entries } = buildBibliography(threadOf(chat));
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    chat: {
+      schemaVersion: chat.schemaVersion ?? SCHEMA_VERSION,
+      title: chat.title,
+      description: chat.description || null,
+      isClinicalMode: !!chat.isClinicalMode,
+      folder: chat.folder || null,
+      createdAt: chat.createdAt,
+      updatedAt: chat.updatedAt,
+      messages: chat.messages
+    },
+    bibliography: entries
+  }, null, 2);
+};
+
+// Mermaid diagrams, fenced or bare, become SVG; one that does not render stays as code
+const renderDiagrams = async (markdown, figures) => {
+  let result = await fenceCheckedMermaidBlocks(markdown);
+  const blocks = [...result.matchAll(/```mermaid\s*\n([\s\S]*?)```/g)];
+  for (const [block, code] of blocks) {
+    try {
+      const svg = await renderExportDiagram(code.trim());
+      result = result.replace(block, `\n\nASTRAFIGURE${figures.length}\n\n`);
+      figures.push(svg);
+    } catch (error) {
+      console.log(`⚠️ Mermaid diagram kept as code in export: ${error.message}`);
+    }
+  }
+  return result;
+};
+
+const HTML_STYLES = `
+  body { font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1d2939; max-width: 820px; margin: 0 auto; padding: 32px 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  .meta { color: #667085; font-size: 13px; margin-bottom: 32px; }
+  .message { margin-bottom: 24px; }
+  .role { font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: .5px; color: #667085; margin-bottom: 6px; }
+  .user .body { border-left: 3px solid #4A90E2; background: #4A90E20D; padding: 8px 12px; border-radius: 4px; }
+  .assistant .body { border: 1px solid #4A90E233; border-radius: 12px; padding: 4px 16px; }
+  pre { background: #f2f4f7; padding: 12px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+  th, td { border: 1px solid #d0d5dd; padding: 6px 10px; text-align: left; vertical-align: top; }
+  figure.diagram { margin: 16px 0; text-align: center; }
+  figure.diagram svg { max-width: 100%; height: auto; }
+  a { color: #2E6FD8; }
+  .references li { margin-bottom: 6px; word-break: break-word; }
+  @media print {
+    body { max-width: none; padding: 0; font-size: 12px; }
+    @page { margin: 18mm 16mm; }
+    .message, figure.diagram, tr, pre { break-inside: avoid; }
+    .assistant .body { border-color: #d0d5dd; }
+    .references a::after { content: " (" attr(href) ")"; color: #667085; }
+    .references a { color: inherit; text-decoration: none; }
+  }
+`;
+
+/** A standalone page: styles inlined, diagrams as SVG, no scripts. */
+export const toHTML = async (chat) => {
+  const thread = threadOf(chat);
+  const { entries, numbering } = buildBibliography(thread);
+  const figures = [];
+
+  const sections = [];
+  for (const message of thread) {
+    const markdown = renumberCitations(message.content, numbering.get(message.id), number => `[\\[${number}\\]](#ref-${number})`);
+    const withDiagrams = await renderDiagrams(markdown, figures);
+    const body = renderToStaticMarkup(<ReactMarkdown remarkPlugins={[remarkGfm]}>{withDiagrams}</ReactMarkdown>)
+      .replace(/<p>ASTRAFIGURE(\d+)<\/p>/g, (_, index) => `<figure class="diagram">${figures[Number(index)]}</figure>`);
+    sections.push(`<section class="message ${message.role === 'user' ? 'user' : 'assistant'}"><div class="role">${escapeHTML(roleLabel(message))}</div><div class="body">${body}</div></section>`);
+  }
+
+  const references = entries.length === 0 ? '' : `<section class="references"><h2>References</h2><ol>${entries.map(entry => (
+    `<li id="ref-${entry.number}">${isWebURL(entry.url)
+      ? `<a href="${escapeHTML(entry.url)}">${escapeHTML(entry.title || entry.url)}</a>${entry.authors ? `. ${escapeHTML(entry.authors)}` : ''}`
+      : escapeHTML(referenceLine(entry))}</li>`
+  )).join('')}</ol></section>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(chat.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHTML(chat.title)}</h1>
+<div class="meta">Exported from Astra · ${escapeHTML(formatDate(chat.updatedAt))}</div>
+${sections.join('\n')}
+${references}
+</body>
+</html>
+`;
+};
+
+/**
+ * Read a JSON export. Returns the chat in record form (messages as dicts);
+ * throws with a readable message when the file is not an Astra export.
+ */
+export const parseChatExport = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (json?.format !== EXPORT_FORMAT || !json.chat) {
+    throw new Error('The file is not an Astra chat export');
+  }
+  if (json.version > EXPORT_VERSION || json.chat.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('The file was exported by a newer version of Astra');
+  }
+
+  const { chat } = json;
+  const messages = Array.isArray(chat.messages) ? chat.messages : [];
+  const valid = messages.every(message => message && (message.role === 'user' || message.role === 'assistant') && typeof message.content === 'string');
+  if (messages.length === 0 || !valid) {
+    throw new Error('The export has no readable messages');
+  }
+
+  // Exports made before schema versioning carry version 1 messages
+  const migrated = migrateChat({ id: crypto.randomUUID(), schemaVersion: chat.schemaVersion ?? 1, createdAt: chat.createdAt, isClinicalMode: !!chat.isClinicalMode, messages });
+
+  return {
+    schemaVersion: migrated.schemaVersion,
+    title: typeof chat.title === 'string' && chat.title.trim() ? chat.title : 'Imported chat',
+    description: typeof chat.description === 'string' ? chat.description : null,
+    isClinicalMode: migrated.isClinicalMode,
+    folder: typeof chat.folder === 'string' ? chat.folder : null,
+    createdAt: chat.createdAt || new Date().toISOString(),
+    messages: migrated.messages
+  };
+};
+
+const fileName = (chat, extension) => {
+  const slug = (chat.title || 'chat').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'chat';
+  return `${slug}.${extension}`;
+};
+
+const downloadFile = (name, content, type) => downloadBlob(name, new Blob([content], { type: `${type};charset=utf-8` }));
+
+// Print the HTML layout from a hidden frame; the browser's dialog saves it as PDF
+const printHTML = (html) => new Promise((resolve) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  // No scripts in the page; same origin so it can be printed from here
+  frame.setAttribute('sandbox', 'allow-modals allow-same-origin');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+  frame.onload = () => {
+    const view = frame.contentWindow;
+    const done = () => {
+      frame.remove();
+      resolve();
+    };
+    view.addEventListener('afterprint', done, { once: true });
+    view.focus();
+    view.print();
+    setTimeout(done, 60000); // afterprint does not fire in every browser
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+});
+
+/** Save `chat` (a stored record) in one of EXPORT_FORMATS. */
+export const exportChat = async (chat, format) => {
+  switch (format) {
+    case 'markdown':
+      return downloadFile(fileName(chat, 'md'), toMarkdown(chat), EXPORT_FORMATS.markdown.type);
+    case 'html':
+      return downloadFile(fileName(chat, 'html'), await toHTML(chat), EXPORT_FORMATS.html.type);
+    case 'pdf':
+      return printHTML(await toHTML(chat));
+    case 'json':
+      return downloadFile(fileName(chat, 'json'), toJSON(chat), EXPORT_FORMATS.json.type);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
@@ -0,0 +1,268 @@
+// ChatSchema.js - The stored shape of chats and messages, and migrations to it
+//
+// Chats read from IndexedDB, the backend or a JSON export pass through
+// migrateChat(); messages are written with serializeMessage() and read with
+// parseMessage(); new messages come from createMessage(). A stored chat
+// carries `schemaVersion`; chats saved before versioning count as version 1.
+//
+// Version 2 message, as stored:
+//   id              UUID, stable across saves and devices
+//   parentId        the previous message's id, null for the first (see ConversationTree)
+//   isActiveBranch  selected among the messages sharing parentId
+//   role            'user' or 'assistant'
+//   content         markdown; on answers, the selected version's
+//   mode            one of MESSAGE_MODES: the request mode of a question, the
+//                   mode an answer was written in
+//   timestamp       ISO date
+//   citations, inlineCitations, images, versions + versionIndex, isIncomplete
+//                   only when present
+//
+// Migrations run in order from the chat's version (see MIGRATIONS). Chats from
+// a newer version of the app are left as they are.
+
+import { toTree } from './ConversationTree';
+
+export const SCHEMA_VERSION = 2;
+
+export const MESSAGE_MODES = ['search', 'reason', 'write'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// cyrb53: a fast 53-bit string hash, different per seed
+const hash53 = (text, seed) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+};
+
+/**
+ * A UUID-shaped ID derived from `name` (version 8, "custom"), so every device
+ * migrating the same chat gives its messages the same IDs.
+ */
+const derivedId = (name) => {
+  const hex = [1, 2, 3].map(seed => hash53(name, seed).toString(16).padStart(14, '0').slice(1)).join(''); // low 52 bits of each
+  const variant = (8 | (parseInt(hex[16], 16) & 3)).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const flagMode = (message) => {
+  if (MESSAGE_MODES.includes(message.mode)) return message.mode;
+  if (message.wasInReasonMode) return 'reason';
+  if (message.wasInWriteMode) return 'write';
+  return 'search';
+};
+
+/**
+ * 1 → 2. Version 1 covers every shape saved before versioning: IDs from
+ * Date.now() (+ Math.random()) or none at all, flat lists from before
+ * branching, the request mode as wasInReasonMode / wasInWriteMode flags, and
+ * records that only carry wasInClinicalMode (from the first releases, where
+ * clinical mode was set per message instead of per chat).
+ */
+const toVersion2 = (chat) => {
+  const legacy = chat.messages;
+  const isUUID = (legacyId) => typeof legacyId === 'string' && UUID_PATTERN.test(legacyId);
+  // Date.now() IDs can repeat, so the position keeps derived IDs unique
+  const idAt = (index) => {
+    const legacyId = legacy[index].id;
+    return isUUID(legacyId) ? legacyId : derivedId(`${chat.id}:${legacyId ?? '#'}:${index}`);
+  };
+
+  // A parent is saved before its children: the nearest earlier message with
+  // that ID, else any other
+  const parentIdFor = (legacyParentId, index) => {
+    if (legacyParentId === null) return null;
+    let match = -1;
+    legacy.forEach((message, j) => {
+      if (message.id === legacyParentId && j !== index && (match === -1 || j < index)) match = j;
+    });
+    if (match !== -1) return idAt(match);
+    return isUUID(legacyParentId) ? legacyParentId : derivedId(`${chat.id}:${legacyParentId}`);
+  };
+
+  const isTree = legacy.every(message => message.parentId !== undefined);
+  const withIds = legacy.map((message, index) => ({
+    ...message,
+    id: idAt(index),
+    ...(isTree ? { parentId: parentIdFor(message.parentId, index) } : {})
+  }));
+  const nodes = toTree(withIds);
+
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const messages = nodes.map(node => {
+    // An answer saved without a mode was written in its question's
+    const question = node.role === 'assistant' && !node.mode ? byId.get(node.parentId) : null;
+    const message = {
+      ...node,
+      isActiveBranch: node.isActiveBranch !== false,
+      mode: flagMode(question || node),
+      timestamp: node.timestamp || chat.createdAt || null
+    };
+    delete message.wasInReasonMode;
+    delete message.wasInWriteMode;
+    delete message.wasInClinicalMode;
+    return message;
+  });
+
+  return {
+    ...chat,
+    isClinicalMode: !!chat.isClinicalMode || legacy.some(message => message.wasInClinicalMode === true),
+    messages
+  };
+};
+
+// Keyed by the version each migration produces
+const MIGRATIONS = {
+  2: toVersion2
+};
+
+/**
+ * `chat` (record shape: messages as stored, or null when not downloaded) in
+ * the current schema. Chats without messages are migrated once they arrive.
+ */
+export const migrateChat = (chat) => {
+  const from = chat.schemaVersion ?? 1;
+  if (from >= SCHEMA_VERSION || !Array.isArray(chat.messages)) return chat;
+
+  let migrated = chat;
+  for (let version = from + 1; version <= SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+};
+
+/** A new message for the conversation; `fields` add to or override the defaults. */
+export const createMessage = ({ role, content = '', mode = 'search', parentId = null, ...fields }) => ({
+  id: crypto.randomUUID(),
+  role,
+  content,
+  mode,
+  parentId,
+  isActiveBranch: true,
+  timestamp: new Date(),
+  ...fields
+});
+
+const serializeCitation = (citation) => ({
+  number: citation.number,
+  title: citation.title,
+  url: citation.url,
+  authors: citation.authors
+});
+
+/** A conversation message in stored form. */
+export const serializeMessage = (message) => {
+  const dict = {
+    id: message.id,
+    parentId: message.parentId ?? null,
+    isActiveBranch: message.isActiveBranch !== false,
+    role: message.role,
+    content: message.content,
+    mode: flagMode(message)
+  };
+
+  if (message.citations && message.citations.length > 0) {
+    dict.citations = message.citations.map(serializeCitation);
+  }
+
+  if (message.timestamp) {
+    dict.timestamp = new Date(message.timestamp).toISOString();
+  }
+
+  // Images are stored as the downscaled JPEG data URLs that were sent
+  if (message.images && message.images.length > 0) {
+    dict.images = message.images.map(image => ({
+      id: image.id,
+      data: image.data,
+      width: image.width,
+      height: image.height,
+      name: image.name,
+      type: image.type
+    }));
+  }
+
+  // Regenerated answers: every version is kept, content above is the selected one
+  if (message.versions && message.versions.length > 1) {
+    dict.versions = message.versions.map(version => ({
+      content: version.content,
+      citations: (version.citations || []).map(serializeCitation),
+      mode: version.mode,
+      isIncomplete: !!version.isIncomplete,
+      timestamp: version.timestamp ? new Date(version.timestamp).toISOString() : undefined
+    }));
+    dict.versionIndex = message.versionIndex ?? 0;
+  }
+
+  if (message.inlineCitations && message.inlineCitations.length > 0) {
+    dict.inlineCitations = message.inlineCitations.map(inline => ({
+      sourceNumber: inline.sourceNumber,
+      startIndex: inline.startIndex,
+      endIndex: inline.endIndex
+    }));
+  }
+
+  if (message.isIncomplete) {
+    dict.isIncomplete = true;
+  }
+
+  return dict;
+};
+
+/** A stored message of a migrated chat, ready for the conversation. */
+export const parseMessage = (dict, fallbackTimestamp = new Date()) => {
+  const message = {
+    id: dict.id,
+    parentId: dict.parentId ?? null,
+    isActiveBranch: dict.isActiveBranch !== false,
+    role: dict.role,
+    content: dict.content,
+    mode: flagMode(dict),
+    timestamp: dict.timestamp ? new Date(dict.timestamp) : fallbackTimestamp,
+    citations: (dict.citations || []).map(serializeCitation),
+    inlineCitations: (dict.inlineCitations || []).map(inline => ({
+      sourceNumber: inline.sourceNumber,
+      startIndex: inline.startIndex,
+      endIndex: inline.endIndex
+    }))
+  };
+
+  // Saved answers were complete (or stopped and flagged isIncomplete below)
+  if (dict.role === 'assistant') {
+    message.isStreamingComplete = true;
+  }
+
+  if (Array.isArray(dict.images) && dict.images.length > 0) {
+    message.images = dict.images.map(image => ({
+      id: image.id ?? crypto.randomUUID(),
+      data: image.data,
+      width: image.width,
+      height: image.height,
+      name: image.name,
+      type: image.type
+    }));
+  }
+
+  if (Array.isArray(dict.versions) && dict.versions.length > 0) {
+    message.versions = dict.versions.map(version => ({
+      content: version.content,
+      citations: (version.citations || []).map(serializeCitation),
+      mode: version.mode,
+      isIncomplete: !!version.isIncomplete,
+      timestamp: version.timestamp ? new Date(version.timestamp) : new Date()
+    }));
+    message.versionIndex = Math.min(Math.max(dict.versionIndex || 0, 0), message.versions.length - 1);
+  }
+
+  if (dict.isIncomplete) {
+    message.isIncomplete = true;
+  }
+
+  return message;
+};
@@ -0,0 +1,244 @@
+// ChatSearchIndex.js - Local full-text search over saved chats
+//
+// An in-memory inverted index with one document per message: its text (as
+// plain text, markdown stripped) and the titles of its citations. Search
+// terms are matched as word prefixes, case- and accent-insensitively, and a
+// message matches when it contains every term. ChatHistoryManager keeps the
+// index current, re-indexing only chats whose content changed; chats whose
+// messages are not downloaded yet are not searchable.
+
+export const SEARCH_MODES = ['search', 'reason', 'write'];
+
+export const SEARCH_DATE_RANGES = {
+  any: { label: 'Any time', days: null },
+  week: { label: 'Past 7 days', days: 7 },
+  month: { label: 'Past 30 days', days: 30 },
+  year: { label: 'Past year', days: 365 }
+};
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+const MATCHES_PER_SESSION = 3;
+const CITATION_WEIGHT = 2;
+
+// Lowercase and drop accents while keeping every character's offset, so
+// positions found in the folded text can highlight the original
+const fold = (text) => text.replace(/[\u0080-\uffff]/g, char => char.normalize('NFD')[0]).toLowerCase();
+
+const tokenize = (text) => fold(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+
+// Readable text for indexing and snippets
+const plainText = (markdown) => (markdown || '')
+  .replace(/```[^\n]*\n?/g, ' ')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[(\d+)\]/g, '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/[#*_>`|~]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Same for a stored record and its summary (see ChatStore)
+const sessionSignature = (session) => `${session.version ?? ''}:${new Date(session.updatedAt || session.timestamp).getTime()}:${session.messageCount ?? session.messages.length}`;
+
+/**
+ * Positions of words in `text` starting with any of `terms`, as [start, end]
+ * pairs covering the whole word.
+ */
+const findWordMatches = (text, terms) => {
+  const folded = fold(text);
+  const ranges = [];
+  const word = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = word.exec(folded)) !== null) {
+    if (terms.some(term => match[0].startsWith(term))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+};
+
+// A window of text around the first match, with highlight ranges relative to it
+const buildSnippet = (text, ranges) => {
+  const first = ranges[0]?.[0] ?? 0;
+  let start = Math.max(0, first - SNIPPET_BEFORE);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return {
+    text: text.slice(start, end),
+    highlights: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start, e - start]),
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length
+  };
+};
+
+class ChatSearchIndex {
+  constructor() {
+    this.docs = new Map();      // docKey -> message document
+    this.postings = new Map();  // token -> Set of docKeys
+    this.sessions = new Map();  // sessionId -> { signature, title, updatedAt, keys }
+  }
+
+  clear() {
+    this.docs.clear();
+    this.postings.clear();
+    this.sessions.clear();
+  }
+
+  /** Index or re-index a session; unchanged sessions are skipped. */
+  addSession(session) {
+    const signature = sessionSignature(session);
+    const existing = this.sessions.get(session.id);
+    if (existing?.signature === signature) {
+      existing.title = session.title;
+      return false;
+    }
+    this.removeSession(session.id);
+
+    const keys = [];
+    session.messages.forEach((message, order) => {
+      const key = `${session.id}\u0000${message.id}`;
+      const doc = {
+        key,
+        sessionId: session.id,
+        messageId: message.id,
+        order,
+        role: message.role,
+        mode: message.mode || 'search',
+        timestamp: new Date(message.timestamp || session.updatedAt).getTime(),
+        text: plainText(message.content),
+        citationTitles: (message.citations || []).map(citation => citation.title).filter(Boolean)
+      };
+      const tokens = new Set([...tokenize(doc.text), ...doc.citationTitles.flatMap(tokenize)]);
+      if (tokens.size === 0) return;
+
+      this.docs.set(key, doc);
+      tokens.forEach(token => {
+        if (!this.postings.has(token)) this.postings.set(token, new Set());
+        this.postings.get(token).add(key);
+      });
+      keys.push(key);
+    });
+
+    this.sessions.set(session.id, {
+      signature,
+      title: session.title,
+      updatedAt: new Date(session.updatedAt || session.timestamp),
+      keys
+    });
+    return true;
+  }
+
+  removeSession(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) return;
+    entry.keys.forEach(key => {
+      const doc = this.docs.get(key);
+      this.docs.delete(key);
+      if (!doc) return;
+      new Set([...tokenize(doc.text), ...doc.citationTitles.flatMap(tokenize)]).forEach(token => {
+        const keys = this.postings.get(token);
+        keys?.delete(key);
+        if (keys?.size === 0) this.postings.delete(token);
+      });
+    });
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Bring the index in line with the stored chats. `summaries` lists them all
+   * without messages; `loadSession(id)` reads one with its messages and is
+   * only called for chats that changed.
+   */
+  async sync(summaries, loadSession) {
+    const ids = new Set(summaries.map(summary => summary.id));
+    [...this.sessions.keys()].forEach(id => {
+      if (!ids.has(id)) this.removeSession(id);
+    });
+
+    for (const summary of summaries) {
+      const existing = this.sessions.get(summary.id);
+      if (!summary.hasMessages) {
+        this.removeSession(summary.id);
+      } else if (existing?.signature === sessionSignature(summary)) {
+        existing.title = summary.title;
+      } else {
+        const session = await loadSession(summary.id);
+        if (session?.messages) this.addSession(session);
+      }
+    }
+  }
+
+  // Doc keys containing a word that starts with `term`
+  keysForPrefix(term) {
+    const keys = new Set();
+    this.postings.forEach((tokenKeys, token) => {
+      if (token.startsWith(term)) tokenKeys.forEach(key => keys.add(key));
+    });
+    return keys;
+  }
+
+  /**
+   * Sessions with messages matching every term of `query`, best first:
+   * [{ sessionId, title, updatedAt, matchCount, matches: [{ messageId, role,
+   * mode, field: 'text' | 'citation', snippet }] }]. `mode` limits matches to
+   * one of SEARCH_MODES; `range` is a SEARCH_DATE_RANGES key.
+   */
+  search(query, { mode = null, range = 'any', now = Date.now() } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    let candidates = null;
+    for (const term of terms) {
+      const keys = this.keysForPrefix(term);
+      candidates = candidates ? new Set([...candidates].filter(key => keys.has(key))) : keys;
+      if (candidates.size === 0) return [];
+    }
+
+    const days = SEARCH_DATE_RANGES[range]?.days;
+    const after = days ? now - days * 24 * 60 * 60 * 1000 : null;
+
+    const bySession = new Map();
+    candidates.forEach(key => {
+      const doc = this.docs.get(key);
+      if (mode && doc.mode !== mode) return;
+      if (after && doc.timestamp < after) return;
+
+      const textRanges = findWordMatches(doc.text, terms);
+      const citationHits = doc.citationTitles
+        .map(title => ({ title, ranges: findWordMatches(title, terms) }))
+        .filter(hit => hit.ranges.length > 0);
+      const score = textRanges.length + citationHits.reduce((sum, hit) => sum + hit.ranges.length * CITATION_WEIGHT, 0);
+
+      const match = textRanges.length > 0
+        ? { field: 'text', snippet: buildSnippet(doc.text, textRanges) }
+        : { field: 'citation', snippet: buildSnippet(citationHits[0].title, citationHits[0].ranges) };
+
+      if (!bySession.has(doc.sessionId)) bySession.set(doc.sessionId, { score: 0, matches: [] });
+      const entry = bySession.get(doc.sessionId);
+      entry.score = Math.max(entry.score, score) + 0.1; // several matching messages rank a chat higher
+      entry.matches.push({ messageId: doc.messageId, role: doc.role, mode: doc.mode, order: doc.order, ...match });
+    });
+
+    return [...bySession.entries()]
+      .map(([sessionId, { score, matches }]) => {
+        const session = this.sessions.get(sessionId);
+        const titleBonus = findWordMatches(session.title || '', terms).length > 0 ? 1 : 0;
+        return {
+          sessionId,
+          title: session.title,
+          updatedAt: session.updatedAt,
+          score: score + titleBonus,
+          matchCount: matches.length,
+          matches: matches.sort((a, b) => a.order - b.order).slice(0, MATCHES_PER_SESSION)
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt);
+  }
+}
+
+export default ChatSearchIndex;
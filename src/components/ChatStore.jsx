@@ -0,0 +1,306 @@
+// ChatStore.js - Local-first chat storage in IndexedDB
+//
+// Every chat is written here first and read from here, so history shows
+// instantly and survives offline use; ChatSync mirrors it to the backend.
+// Records keep messages in ChatSchema's stored form (older records are
+// migrated as they are read), the sidebar organization (title, titleEdited
+// when the user renamed it, titleGenerated and a one-line description once
+// ChatDescriber named it, pinned, folder), deletedAt while the chat is in the
+// Trash, phiPlaceholders (the identifiers its questions were redacted with,
+// see PHIDetector; kept on this device, never synced), and sync bookkeeping:
+//   version   server version stamp the local copy is based on (0 = never synced)
+//   pending   null, 'save', 'trash' (only deletedAt changed) or 'delete' (purged
+//             for good): a local change queued for ChatSync
+//   revision  bumped on every local write, so a push only clears `pending`
+//             if nothing changed while it was in flight
+//   conflict  the other device's copy when both edited the chat, until resolved
+//   pulledAt  when the content last came from the backend
+//
+// Message bodies live in their own object store, so the history list reads
+// only titles and metadata. A record's `messages` is null when the body has
+// not been downloaded yet (ChatSync pulls metadata only); it is fetched when
+// the chat is opened.
+//
+// Falls back to memory when IndexedDB is unavailable (some private browsing
+// modes); chats then last for the tab's lifetime and still sync.
+
+import { migrateChat } from './ChatSchema';
+
+const DB_NAME = 'astra';
+const DB_VERSION = 2;
+const SESSIONS = 'sessions';
+const MESSAGES = 'messages';
+const META = 'meta';
+
+// Newest activity of a record's messages; bodies not downloaded keep what the backend reported
+const lastActivityOf = (record) => {
+  const times = (record.messages || []).map(message => Date.parse(message.timestamp)).filter(Number.isFinite);
+  if (times.length > 0) return new Date(Math.max(...times)).toISOString();
+  return record.lastActivityAt || record.updatedAt;
+};
+
+/**
+ * The list entry for a record: everything but the message bodies. `sortKey`
+ * orders pinned chats first, then by last activity.
+ */
+const toSummary = (record) => {
+  const summary = { ...record };
+  delete summary.messages;
+  summary.hasMessages = Array.isArray(record.messages);
+  summary.messageCount = summary.hasMessages ? record.messages.length : (record.messageCount ?? 0);
+  summary.lastActivityAt = lastActivityOf(record);
+  summary.sortKey = `${record.pinned ? 1 : 0}${summary.lastActivityAt}`;
+  return summary;
+};
+
+const isListed = (summary) => summary.pending !== 'delete' && !summary.deletedAt;
+
+const withMessages = (summary, body) => (summary ? { ...summary, messages: body?.messages ?? null } : undefined);
+
+// List order: the 'order' index read backwards (pinned, then newest)
+const compareOrder = (a, b) => (b.sortKey === a.sortKey ? (b.id < a.id ? -1 : 1) : (b.sortKey < a.sortKey ? -1 : 1));
+
+class IndexedDBBackend {
+  constructor() {
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          const transaction = request.transaction;
+          if (event.oldVersion < 1) {
+            db.createObjectStore(SESSIONS, { keyPath: 'id' }).createIndex('userId', 'userId');
+            db.createObjectStore(META);
+          }
+          if (event.oldVersion < 2) {
+            // Version 1 kept bodies inline; move them out and add the list order
+            const sessions = transaction.objectStore(SESSIONS);
+            const messages = db.createObjectStore(MESSAGES, { keyPath: 'id' });
+            sessions.createIndex('order', ['userId', 'sortKey', 'id']);
+            sessions.openCursor().onsuccess = (e) => {
+              const cursor = e.target.result;
+              if (!cursor) return;
+              messages.put({ id: cursor.value.id, messages: cursor.value.messages || [] });
+              cursor.update(toSummary({ ...cursor.value, messages: cursor.value.messages || [] }));
+              cursor.continue();
+            };
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  // Resolves with `collect()`'s result once the transaction has committed
+  async transact(storeNames, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const collect = operation(transaction);
+      transaction.oncomplete = () => resolve(collect?.());
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Single-request shorthand for transact()
+  run(storeName, mode, operation) {
+    return this.transact(storeName, mode, transaction => {
+      const request = operation(transaction.objectStore(storeName));
+      return () => request?.result;
+    });
+  }
+
+  list(userId) {
+    return this.run(SESSIONS, 'readonly', store => store.index('userId').getAll(userId));
+  }
+
+  page(userId, cursor, limit) {
+    return this.transact(SESSIONS, 'readonly', transaction => {
+      const upper = cursor ? [userId, ...cursor] : [userId, []]; // [] sorts after every string
+      const range = IDBKeyRange.bound([userId], upper, false, !!cursor);
+      const entries = [];
+      transaction.objectStore(SESSIONS).index('order').openCursor(range, 'prev').onsuccess = (e) => {
+        const result = e.target.result;
+        if (!result || entries.length >= limit) return;
+        if (isListed(result.value)) entries.push(result.value);
+        result.continue();
+      };
+      return () => entries;
+    });
+  }
+
+  get(id) {
+    return this.transact([SESSIONS, MESSAGES], 'readonly', transaction => {
+      const summary = transaction.objectStore(SESSIONS).get(id);
+      const body = transaction.objectStore(MESSAGES).get(id);
+      return () => withMessages(summary.result, body.result);
+    });
+  }
+
+  put(record) {
+    return this.transact([SESSIONS, MESSAGES], 'readwrite', transaction => {
+      const summary = toSummary(record);
+      transaction.objectStore(SESSIONS).put(summary);
+      if (Array.isArray(record.messages)) {
+        transaction.objectStore(MESSAGES).put({ id: record.id, messages: record.messages });
+      } else {
+        transaction.objectStore(MESSAGES).delete(record.id);
+      }
+      return () => summary;
+    });
+  }
+
+  remove(id) {
+    return this.transact([SESSIONS, MESSAGES], 'readwrite', transaction => {
+      transaction.objectStore(SESSIONS).delete(id);
+      transaction.objectStore(MESSAGES).delete(id);
+    });
+  }
+
+  getMeta(key) {
+    return this.run(META, 'readonly', store => store.get(key));
+  }
+
+  setMeta(key, value) {
+    return this.run(META, 'readwrite', store => store.put(value, key));
+  }
+}
+
+class MemoryBackend {
+  constructor() {
+    this.sessions = new Map();
+    this.messages = new Map();
+    this.meta = new Map();
+  }
+
+  async list(userId) {
+    return [...this.sessions.values()].filter(summary => summary.userId === userId).map(summary => structuredClone(summary));
+  }
+
+  async page(userId, cursor, limit) {
+    const after = cursor ? { sortKey: cursor[0], id: cursor[1] } : null;
+    return [...this.sessions.values()]
+      .filter(summary => summary.userId === userId && isListed(summary))
+      .filter(summary => !after || compareOrder(after, summary) < 0)
+      .sort(compareOrder)
+      .slice(0, limit)
+      .map(summary => structuredClone(summary));
+  }
+
+  async get(id) {
+    return structuredClone(withMessages(this.sessions.get(id), this.messages.get(id)));
+  }
+
+  async put(record) {
+    const summary = toSummary(structuredClone(record));
+    this.sessions.set(record.id, summary);
+    if (Array.isArray(record.messages)) {
+      this.messages.set(record.id, { id: record.id, messages: structuredClone(record.messages) });
+    } else {
+      this.messages.delete(record.id);
+    }
+    return structuredClone(summary);
+  }
+
+  async remove(id) {
+    this.sessions.delete(id);
+    this.messages.delete(id);
+  }
+
+  async getMeta(key) {
+    return this.meta.get(key);
+  }
+
+  async setMeta(key, value) {
+    this.meta.set(key, value);
+  }
+}
+
+class ChatStore {
+  static shared = new ChatStore();
+
+  constructor() {
+    if (ChatStore.shared) {
+      return ChatStore.shared;
+    }
+    this.backend = null;
+  }
+
+  async ready() {
+    if (!this.backend) {
+      this.backend = (async () => {
+        if (typeof indexedDB === 'undefined') return new MemoryBackend();
+        const backend = new IndexedDBBackend();
+        try {
+          await backend.open();
+          return backend;
+        } catch (error) {
+          console.log(`⚠️ IndexedDB unavailable, keeping chats in memory: ${error?.message || error}`);
+          return new MemoryBackend();
+        }
+      })();
+    }
+    return this.backend;
+  }
+
+  /** All of a user's records without bodies, including ones queued for deletion. */
+  async listSessions(userId) {
+    return (await this.ready()).list(userId);
+  }
+
+  /**
+   * One page of the history list, pinned first then newest, without bodies,
+   * trashed chats or queued deletions. Pass the previous page's `nextCursor`
+   * for the next.
+   */
+  async listPage(userId, { cursor = null, limit = 30 } = {}) {
+    const records = await (await this.ready()).page(userId, cursor, limit);
+    const last = records[records.length - 1];
+    return { records, nextCursor: records.length === limit ? [last.sortKey, last.id] : null };
+  }
+
+  /**
+   * The full record in the current schema; `messages` is null when the body
+   * is not downloaded yet.
+   */
+  async getSession(id) {
+    const record = await (await this.ready()).get(id);
+    return record && migrateChat(record);
+  }
+
+  /** Store a full record; resolves with its list summary. */
+  async putSession(record) {
+    return (await this.ready()).put(record);
+  }
+
+  async removeSession(id) {
+    return (await this.ready()).remove(id);
+  }
+
+  async getMeta(key) {
+    return (await this.ready()).getMeta(key);
+  }
+
+  async setMeta(key, value) {
+    return (await this.ready()).setMeta(key, value);
+  }
+
+  // Chats made while signed out move with the user when they sign in
+  async reassignUser(fromUserId, toUserId) {
+    const summaries = await this.listSessions(fromUserId);
+    for (const summary of summaries) {
+      const record = await this.getSession(summary.id);
+      await this.putSession({ ...record, userId: toUserId });
+    }
+    return summaries.length;
+  }
+}
+
+export default ChatStore;
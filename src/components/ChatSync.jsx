@@ -0,0 +1,430 @@
+// ChatSync.js - Background sync between ChatStore and the backend
+//
+// A sync pushes queued local changes (purges and Trash moves batched into one
+// request each, saves one by one), then pulls titles and metadata of
+// everything changed on the backend since the last pull; message bodies are
+// downloaded when a chat is opened (loadMessages). Saves carry the version
+// stamp the local copy is based on; the backend answers 409 with its own copy when another device
+// saved first. Neither side is overwritten then: the other copy is kept on
+// the record as `conflict` until the user picks one (resolveConflict).
+//
+// Runs shortly after each local change, when the browser comes back online,
+// and when the tab becomes visible again. Failures back off and retry.
+
+import ChatStore from './ChatStore';
+import { BackendError, ErrorKind, backoffDelay } from './BackendError';
+
+const SYNC_DEBOUNCE_MS = 500;
+const PULL_PAGE_SIZE = 100;
+
+export const SyncStatus = {
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline', // changes stay queued until the connection is back
+  ERROR: 'error'
+};
+
+// Both copies hold the same chat, e.g. when a push landed but its response was lost
+const sameContent = (a, b) => a.title === b.title
+  && !!a.pinned === !!b.pinned
+  && (a.folder || null) === (b.folder || null)
+  && !!a.deletedAt === !!b.deletedAt
+  && JSON.stringify(a.messages) === JSON.stringify(b.messages);
+
+// A backend copy without its tombstone flag, ready to merge into a record
+const contentFields = (record) => {
+  const fields = { ...record };
+  delete fields.deleted;
+  return fields;
+};
+
+const conflictCopy = (remote) => ({
+  title: remote.title,
+  titleEdited: !!remote.titleEdited,
+  titleGenerated: !!remote.titleGenerated,
+  description: remote.description || null,
+  pinned: !!remote.pinned,
+  folder: remote.folder || null,
+  deletedAt: remote.deletedAt || null,
+  messages: remote.messages,
+  isClinicalMode: remote.isClinicalMode,
+  updatedAt: remote.updatedAt,
+  version: remote.version,
+  deleted: !!remote.deleted
+});
+
+class ChatSync {
+  static shared = new ChatSync();
+
+  constructor() {
+    if (ChatSync.shared) {
+      return ChatSync.shared;
+    }
+    this.store = ChatStore.shared;
+    this.client = null;
+    this.status = SyncStatus.IDLE;
+    this.error = null;
+    this.pendingCount = 0;
+    this.conflictCount = 0;
+    this.lastSyncedAt = null;
+    this.dataRevision = 0; // bumped whenever a sync changed stored chats
+    this.failures = 0;
+    this.timer = null;
+    this.running = null;
+    this.rerun = false;
+    this.listeners = new Set();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.schedule(0));
+      window.addEventListener('offline', () => this.setStatus(SyncStatus.OFFLINE));
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.schedule(0);
+      });
+    }
+  }
+
+  // ChatClient lives with ChatHistoryManager, which attaches it on load
+  attach(client) {
+    this.client = client;
+  }
+
+  get state() {
+    return {
+      status: this.status,
+      error: this.error,
+      pendingCount: this.pendingCount,
+      conflictCount: this.conflictCount,
+      lastSyncedAt: this.lastSyncedAt,
+      dataRevision: this.dataRevision
+    };
+  }
+
+  schedule(delay = SYNC_DEBOUNCE_MS) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.sync(), delay);
+  }
+
+  /** Run a sync now; a call during a running sync queues one more pass. */
+  sync() {
+    if (!this.client) return Promise.resolve();
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+    clearTimeout(this.timer);
+    this.running = this.performSync().finally(() => {
+      this.running = null;
+      if (this.rerun) {
+        this.rerun = false;
+        this.schedule(0);
+      }
+    });
+    return this.running;
+  }
+
+  async performSync() {
+    const userId = this.client.userId;
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      await this.updateCounts(userId);
+      this.setStatus(SyncStatus.OFFLINE);
+      return;
+    }
+
+    this.setStatus(SyncStatus.SYNCING);
+    let changed = false;
+    try {
+      changed = await this.push(userId);
+      changed = (await this.pull(userId)) || changed;
+      this.failures = 0;
+      this.lastSyncedAt = new Date();
+      this.setStatus(SyncStatus.IDLE);
+    } catch (error) {
+      // Whatever was pushed before the failure stays pushed; the rest stays queued
+      changed = true;
+      this.failures++;
+      const offline = error.kind === ErrorKind.NETWORK || error.kind === ErrorKind.TIMEOUT;
+      console.log(`⚠️ Chat sync failed (${error.kind || 'error'}): ${error.message}`);
+      this.setStatus(offline ? SyncStatus.OFFLINE : SyncStatus.ERROR, offline ? null : error.message);
+      this.schedule(Math.max(2000, backoffDelay(this.failures, 2000, 60000)));
+    }
+
+    await this.updateCounts(userId);
+    if (changed) this.dataRevision++;
+    this.notifyListeners();
+  }
+
+  // Push queued changes. Chats in conflict wait for the user. Chats the
+  // backend rejected stay queued, and the sync reports them as an error.
+  async push(userId) {
+    const queued = (await this.store.listSessions(userId)).filter(summary => summary.pending && !summary.conflict);
+    const ofKind = (kind) => queued.filter(summary => summary.pending === kind);
+
+    const failed = [
+      ...(await this.pushDeletes(ofKind('delete'))),
+      ...(await this.pushTrash(ofKind('trash')))
+    ];
+
+    for (const summary of ofKind('save')) {
+      const record = await this.store.getSession(summary.id);
+      if (!record) continue;
+      // Saving without the body would wipe it on the backend
+      if (!record.messages) continue;
+
+      try {
+        const saved = await this.client.saveChat(record);
+        await this.settle(record, { version: saved.version, updatedAt: saved.updatedAt || record.updatedAt });
+      } catch (error) {
+        if (error.kind !== ErrorKind.CONFLICT || !error.data?.current) throw error;
+        const remote = this.client.parseChatRecord(error.data.current);
+        if (sameContent(record, remote)) {
+          await this.settle(record, { version: remote.version, updatedAt: remote.updatedAt });
+        } else {
+          console.log(`⚠️ Chat "${record.title}" was changed on another device`);
+          await this.markConflict(record.id, remote);
+        }
+      }
+    }
+
+    if (failed.length > 0) {
+      failed.forEach(failure => console.log(`⚠️ Chat ${failure.id} was not updated: ${failure.message}`));
+      throw new BackendError(ErrorKind.SERVER, `${failed.length} of ${queued.length} chat changes could not be saved to the server`);
+    }
+    return queued.length > 0;
+  }
+
+  // Purged chats in one request; the local record goes once the backend has no copy
+  async pushDeletes(queued) {
+    const synced = queued.filter(summary => summary.version > 0).map(summary => summary.id);
+    const { failed } = synced.length > 0 ? await this.client.deleteChats(synced) : { failed: [] };
+    const failedIds = new Set(failed.map(failure => failure.id));
+
+    for (const summary of queued) {
+      if (failedIds.has(summary.id)) continue;
+      const current = await this.store.getSession(summary.id);
+      if (current?.revision === summary.revision) await this.store.removeSession(summary.id);
+    }
+    return failed;
+  }
+
+  // Moves to and from the Trash in one request; each chat succeeds or fails on its own
+  async pushTrash(queued) {
+    if (queued.length === 0) return [];
+    const sent = new Map(queued.map(summary => [summary.id, summary]));
+    const { chats, failed } = await this.client.trashChats(queued.map(summary => ({ id: summary.id, deletedAt: summary.deletedAt })));
+
+    for (const row of chats) {
+      const remote = this.client.parseChatRecord(row);
+      const summary = sent.get(remote.id);
+      const current = await this.store.getSession(remote.id);
+      if (!summary || !current) continue;
+      const settled = current.revision === summary.revision;
+
+      if (remote.version === summary.version + 1) {
+        await this.store.putSession({ ...current, version: remote.version, ...(settled ? { pending: null, updatedAt: remote.updatedAt } : {}) });
+      } else if (settled) {
+        // Another device's edits landed first: take its metadata, download its messages again
+        await this.store.putSession({ ...current, ...contentFields(remote), pending: null, pulledAt: Date.now() });
+      }
+      // Otherwise the version stays behind, so the next save of the local edits meets the other device's
+    }
+
+    // Deleted on another device meanwhile: nothing left to move
+    for (const failure of failed.filter(failure => failure.notFound)) {
+      await this.store.removeSession(failure.id);
+    }
+    return failed.filter(failure => !failure.notFound);
+  }
+
+  // Record a successful push; edits made while it was in flight stay queued on top of it
+  async settle(record, { version, updatedAt }) {
+    const current = await this.store.getSession(record.id);
+    if (!current) return;
+    if (current.revision === record.revision) {
+      await this.store.putSession({ ...current, version, updatedAt, pending: null });
+    } else {
+      await this.store.putSession({ ...current, version });
+    }
+  }
+
+  async markConflict(id, remote) {
+    const current = await this.store.getSession(id);
+    if (current) await this.store.putSession({ ...current, conflict: conflictCopy(remote) });
+  }
+
+  // Pull every change since the last pull, oldest first, a page at a time
+  async pull(userId) {
+    const cursorKey = `pullCursor:${userId}`;
+    let cursor = (await this.store.getMeta(cursorKey)) || null;
+    let changed = false;
+
+    for (;;) {
+      const page = await this.client.getChatHistory({ cursor, limit: PULL_PAGE_SIZE });
+      for (const dict of page.chats) {
+        changed = (await this.merge(this.client.parseChatRecord(dict), userId)) || changed;
+      }
+      if (page.nextCursor && page.nextCursor !== cursor) {
+        cursor = page.nextCursor;
+        await this.store.setMeta(cursorKey, cursor);
+      }
+      if (!page.hasMore) break;
+    }
+    return changed;
+  }
+
+  // The other device's full copy of a pulled summary; a chat deleted since counts as deleted
+  async fetchRemote(remote) {
+    if (remote.deleted || remote.messages) return remote;
+    try {
+      return this.client.parseChatRecord(await this.client.getChat(remote.id));
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      return { ...remote, deleted: true };
+    }
+  }
+
+  /**
+   * The stored record with its messages, downloading them first when only
+   * the summary was pulled. Null if the chat is gone.
+   */
+  async loadMessages(id) {
+    const record = await this.store.getSession(id);
+    if (!record || record.messages) return record ?? null;
+
+    const remote = await this.fetchRemote(record);
+    const current = await this.store.getSession(id);
+    if (!current) return null;
+    if (current.messages) return current; // another load finished first
+    if (remote.deleted) {
+      await this.store.removeSession(id);
+      this.dataRevision++;
+      this.notifyListeners();
+      return null;
+    }
+    await this.store.putSession({ ...current, ...contentFields(remote), pulledAt: Date.now() });
+    return this.store.getSession(id);
+  }
+
+  async merge(remote, userId) {
+    const local = await this.store.getSession(remote.id);
+
+    if (!local) {
+      if (remote.deleted) return false;
+      await this.store.putSession({ ...contentFields(remote), userId, pending: null, revision: 0, conflict: null, pulledAt: Date.now() });
+      return true;
+    }
+
+    // Already have this version, e.g. our own push coming back
+    if (remote.version <= local.version) return false;
+
+    if (!local.pending) {
+      if (remote.deleted) {
+        await this.store.removeSession(local.id);
+      } else {
+        await this.store.putSession({ ...local, ...contentFields(remote), pulledAt: Date.now() });
+      }
+      return true;
+    }
+
+    // Deleted here: the queued delete wins
+    if (local.pending === 'delete') return false;
+
+    // Only moved to or from the Trash here: take their edits, keep the move queued
+    if (local.pending === 'trash') {
+      if (remote.deleted) {
+        await this.store.removeSession(local.id);
+      } else {
+        await this.store.putSession({ ...local, ...contentFields(remote), deletedAt: local.deletedAt, pulledAt: Date.now() });
+      }
+      return true;
+    }
+
+    // Edited on both devices: compare against the other copy's content
+    const other = await this.fetchRemote(remote);
+    const current = await this.store.getSession(local.id);
+    if (!current) return false;
+    if (!other.deleted && sameContent(current, other)) {
+      await this.store.putSession({ ...current, version: other.version });
+    } else {
+      await this.markConflict(local.id, other);
+    }
+    return true;
+  }
+
+  /**
+   * Settle a conflict. `mine` keeps this device's copy and overwrites the
+   * other; `theirs` takes the other device's copy; `both` keeps theirs under
+   * this ID and saves this device's copy as a new chat. Returns the ID of the
+   * chat holding this device's edits (or theirs when discarded).
+   */
+  async resolveConflict(id, choice) {
+    const local = await this.store.getSession(id);
+    if (!local?.conflict) return id;
+    const { conflict } = local;
+    const revision = (local.revision || 0) + 1;
+    let resultId = id;
+
+    if (choice === 'mine') {
+      await this.store.putSession({ ...local, version: conflict.version, conflict: null, pending: 'save', revision });
+    } else {
+      if (choice === 'both') {
+        const now = new Date().toISOString();
+        resultId = crypto.randomUUID();
+        await this.store.putSession({
+          ...local,
+          id: resultId,
+          title: `${local.title} (this device)`,
+          version: 0,
+          conflict: null,
+          pending: 'save',
+          revision: 1,
+          pulledAt: null,
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+
+      if (conflict.deleted) {
+        await this.store.removeSession(id);
+      } else {
+        await this.store.putSession({ ...local, ...contentFields(conflict), conflict: null, pending: null, revision, pulledAt: Date.now() });
+      }
+    }
+
+    this.dataRevision++;
+    this.schedule(0);
+    this.notifyListeners();
+    return resultId;
+  }
+
+  async updateCounts(userId) {
+    try {
+      const records = await this.store.listSessions(userId);
+      this.pendingCount = records.filter(record => record.pending).length;
+      this.conflictCount = records.filter(record => record.conflict).length;
+    } catch {
+      // counts are informational
+    }
+  }
+
+  setStatus(status, error = null) {
+    this.status = status;
+    this.error = error;
+    this.notifyListeners();
+  }
+
+  // Observable pattern for React components
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  notifyListeners() {
+    const state = this.state;
+    this.listeners.forEach(callback => callback(state));
+  }
+}
+
+export default ChatSync;
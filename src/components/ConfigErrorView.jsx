@@ -0,0 +1,51 @@
+import React from 'react';
+import { useTheme } from './Themes+Styles';
+import { getRuntimeConfig, getConfigProfiles, setConfigProfile } from './RuntimeConfig';
+
+// Shown instead of the app when the startup configuration check fails
+const ConfigErrorView = ({ error, onRetry }) => {
+  const { colors: theme } = useTheme();
+  const { profile } = getRuntimeConfig();
+  const problems = error?.errors || [error?.message || 'Unknown error'];
+
+  const switchProfile = (name) => {
+    setConfigProfile(name);
+    onRetry();
+  };
+
+  return (
+    <div style={{
+      minHeight: '100dvh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 24, boxSizing: 'border-box',
+      backgroundColor: theme.backgroundPrimary, fontFamily: '-apple-system, BlinkMacSystemFont,"Segoe UI","Roboto",sans-serif'
+    }}>
+      <div role="alert" style={{ maxWidth: 520, width: '100%', padding: 20, borderRadius: 12, backgroundColor: theme.backgroundSurface, border: `1px solid ${theme.errorColor}60` }}>
+        <h2 style={{ margin: 0, fontSize: 18, fontWeight: 600, color: theme.textPrimary }}>Astra is not configured correctly</h2>
+        <p style={{ margin: '6px 0 12px', fontSize: 13, color: theme.textSecondary }}>
+          Profile <strong>{profile}</strong>. Fix the build env or <code>config.json</code>, or switch profile.
+        </p>
+        <ul style={{ margin: 0, paddingLeft: 20, fontSize: 13, lineHeight: 1.6, color: theme.errorColor }}>
+          {problems.map((problem, i) => <li key={i}>{problem}</li>)}
+        </ul>
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 16 }}>
+          {getConfigProfiles().filter(name => name !== profile).map(name => (
+            <button
+              key={name}
+              onClick={() => switchProfile(name)}
+              style={{ padding: '6px 12px', borderRadius: 50, border: `1px solid ${theme.accentSoftBlue}60`, background: 'transparent', color: theme.accentSoftBlue, fontSize: 12, cursor: 'pointer' }}
+            >
+              Use {name}
+            </button>
+          ))}
+          <button
+            onClick={onRetry}
+            style={{ marginLeft: 'auto', padding: '6px 12px', borderRadius: 50, border: 'none', backgroundColor: theme.accentSoftBlue, color: '#fff', fontSize: 12, fontWeight: 500, cursor: 'pointer' }}
+          >
+            Try again
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfigErrorView;
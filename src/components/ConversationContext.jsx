@@ -0,0 +1,121 @@
+// ConversationContext.js - Builds the prior-turn window sent with each streaming request
+
+export const DEFAULT_CONTEXT_OPTIONS = {
+  maxTurns: 6,        // prior user/assistant exchanges considered at all
+  tokenBudget: 3000,  // verbatim history is trimmed to fit this estimate
+  summaryChars: 160   // per-message length once a turn is summarized
+};
+
+const parsePositiveInt = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+// The defaults, with any limits set in the build env
+export const getContextOptions = () => {
+  const env = import.meta.env || {};
+  const fromEnv = {
+    maxTurns: parsePositiveInt(env.VITE_CONTEXT_MAX_TURNS),
+    tokenBudget: parsePositiveInt(env.VITE_CONTEXT_TOKEN_BUDGET)
+  };
+
+  const options = { ...DEFAULT_CONTEXT_OPTIONS };
+  Object.entries(fromEnv).forEach(([key, value]) => {
+    if (value !== undefined) options[key] = value;
+  });
+  return options;
+};
+
+// Rough token estimate (~4 characters per token for English prose)
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const summarize = (text, maxChars) => {
+  const flat = (text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/\[(\d+)\]/g, '')
+    .replace(/[#*_>`|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const firstSentence = flat.match(/^.+?[.!?](\s|$)/)?.[0]?.trim() || flat;
+  return firstSentence.length > maxChars
+    ? firstSentence.slice(0, maxChars - 1).trimEnd() + '…'
+    : firstSentence;
+};
+
+// Group a flat transcript into [user, assistant?] exchanges
+const groupTurns = (messages) => {
+  const turns = [];
+  messages.forEach(message => {
+    if (message.error || !message.content) return;
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  });
+  return turns;
+};
+
+/**
+ * Select the prior messages to send with a new query.
+ *
+ * The newest turns are sent verbatim while they fit `tokenBudget`; older turns
+ * inside the `maxTurns` window are condensed into a single summary string.
+ * Returns the request payload plus `turns`, a description of what was sent
+ * so the UI can show it.
+ */
+export const buildConversationContext = (messages, options = getContextOptions()) => {
+  const { maxTurns, tokenBudget, summaryChars } = { ...DEFAULT_CONTEXT_OPTIONS, ...options };
+  const windowTurns = maxTurns > 0 ? groupTurns(messages || []).slice(-maxTurns) : [];
+
+  let remaining = tokenBudget;
+  let budgetExhausted = false;
+  const verbatim = [];
+  const condensed = [];
+
+  for (let i = windowTurns.length - 1; i >= 0; i--) {
+    const turn = windowTurns[i];
+    const cost = turn.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    if (!budgetExhausted && cost <= remaining) {
+      verbatim.unshift(turn);
+      remaining -= cost;
+    } else {
+      budgetExhausted = true;
+      condensed.unshift(turn);
+    }
+  }
+
+  let summary = condensed
+    .map(turn => turn
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${summarize(m.content, summaryChars)}`)
+      .join(' '))
+    .join('\n');
+  const summaryLimit = Math.max(remaining, 0) * 4;
+  if (summary.length > summaryLimit) {
+    summary = summaryLimit > 0 ? '…' + summary.slice(summary.length - summaryLimit + 1) : '';
+  }
+
+  const history = verbatim.flat().map(m => ({
+    role: m.role,
+    content: m.content,
+    mode: m.mode || 'search'
+  }));
+
+  const describe = (summarized) => (m) => ({
+    id: m.id,
+    role: m.role,
+    preview: summarize(m.content, 80),
+    summarized
+  });
+
+  return {
+    history,
+    summary: summary || null,
+    turns: [
+      ...(summary ? condensed.flat().map(describe(true)) : []),
+      ...verbatim.flat().map(describe(false))
+    ]
+  };
+};
+
+export default buildConversationContext;
@@ -0,0 +1,78 @@
+// ConversationTree.js - Branching conversations stored as a flat list of message nodes
+//
+// Every message carries `parentId` (null for the first message) and
+// `isActiveBranch`, which marks the selected child among its siblings. Editing
+// a past user message adds a sibling, so the earlier branch stays reachable.
+// The thread shown on screen is the path that follows the active children.
+
+const ROOT = null;
+
+const childrenOf = (nodes, parentId) => nodes.filter(node => node.parentId === parentId);
+
+const activeChild = (children) => children.find(node => node.isActiveBranch) || children[children.length - 1];
+
+/**
+ * Normalise loaded messages into tree nodes. Records saved before branching
+ * existed have no `parentId`; they are chained in order as a single branch.
+ */
+export const toTree = (messages = []) => {
+  if (messages.every(message => message.parentId !== undefined)) return messages;
+
+  return messages.map((message, index) => ({
+    ...message,
+    parentId: index === 0 ? ROOT : messages[index - 1].id,
+    isActiveBranch: true
+  }));
+};
+
+/** The messages on the selected branch, from the first message down. */
+export const activeThread = (nodes) => {
+  const thread = [];
+  const seen = new Set();
+  let children = childrenOf(nodes, ROOT);
+
+  while (children.length > 0) {
+    const node = activeChild(children);
+    if (seen.has(node.id)) break; // guard against a corrupt cycle
+    seen.add(node.id);
+    thread.push(node);
+    children = childrenOf(nodes, node.id);
+  }
+  return thread;
+};
+
+/** Add `message` under `parentId` and make it the active branch there. */
+export const appendMessage = (nodes, parentId, message) => [
+  ...nodes.map(node => (node.parentId === parentId && node.isActiveBranch ? { ...node, isActiveBranch: false } : node)),
+  { ...message, parentId, isActiveBranch: true }
+];
+
+/** Messages sharing `message`'s parent, in creation order. */
+export const siblingsOf = (nodes, message) => childrenOf(nodes, message.parentId ?? ROOT);
+
+/** Switch the branch at `message`'s position to `message`. */
+export const selectBranch = (nodes, messageId) => {
+  const target = nodes.find(node => node.id === messageId);
+  if (!target) return nodes;
+  return nodes.map(node => {
+    if (node.parentId !== target.parentId) return node;
+    const isActiveBranch = node.id === messageId;
+    return node.isActiveBranch === isActiveBranch ? node : { ...node, isActiveBranch };
+  });
+};
+
+/** Select every branch on the way to `messageId`, so it is in the active thread. */
+export const revealMessage = (nodes, messageId) => {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const seen = new Set();
+  let result = nodes;
+  let node = byId.get(messageId);
+  while (node && !seen.has(node.id)) {
+    seen.add(node.id);
+    result = selectBranch(result, node.id);
+    node = byId.get(node.parentId);
+  }
+  return result;
+};
+
+export default activeThread;
@@ -239,6 +239,18 @@ export const safeLocalStorage = {
   }
 };
 
+// Save a blob through the browser's download flow
+export const downloadBlob = (name, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
 // Platform detection
 export const platform = {
   isMobile: () => {
@@ -282,5 +294,6 @@ export default {
   isValidEmail,
   isValidUrl,
   safeLocalStorage,
+  downloadBlob,
   platform
 };
\ No newline at end of file
@@ -1,12 +1,82 @@
 import React, { useState, useRef } from 'react';
 
+// Long edge after downscaling; larger images cost upload time and tokens without helping the model
+const MAX_IMAGE_DIMENSION = 1568;
+const JPEG_QUALITY = 0.85;
+export const MAX_ATTACHED_IMAGES = 4;
+
+const loadImageSource = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      // Applies the EXIF orientation before the metadata is dropped
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Fall back to an <img> element below
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not read image "${file.name}"`));
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Downscale an image file and re-encode it as JPEG. Drawing through a canvas
+ * keeps only the pixels, so EXIF metadata (GPS position, device, capture
+ * time) never leaves the browser.
+ */
+export const prepareImage = async (file, { maxDimension = MAX_IMAGE_DIMENSION, quality = JPEG_QUALITY } = {}) => {
+  const source = await loadImageSource(file);
+  const scale = Math.min(1, maxDimension / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no alpha channel; flatten transparent PNGs onto white
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(source, 0, 0, width, height);
+  source.close?.();
+
+  const data = canvas.toDataURL('image/jpeg', quality);
+  return {
+    id: crypto.randomUUID(),
+    data,
+    width,
+    height,
+    name: file.name || 'Pasted image',
+    type: 'image/jpeg',
+    size: Math.round((data.length - data.indexOf(',') - 1) * 3 / 4)
+  };
+};
+
 class ImageInputManager {
   constructor() {
     this.selectedImage = null;
     this.isPickerPresented = false;
+    this.images = []; // attachments for the next query
+    this.processingCount = 0; // addImages() calls in flight
+    this.error = null;
     this.listeners = new Set();
   }
 
+  get isProcessing() {
+    return this.processingCount > 0;
+  }
+
   setSelectedImage(image) {
     this.selectedImage = image;
     this.notifyListeners();
@@ -22,6 +92,63 @@ class ImageInputManager {
     this.notifyListeners();
   }
 
+  // Accepts files from the picker, a paste or a drop; non-images are ignored
+  async addImages(files) {
+    const candidates = Array.from(files || []).filter(file => file.type?.startsWith('image/'));
+    if (candidates.length === 0) return [];
+
+    if (this.images.length >= MAX_ATTACHED_IMAGES) {
+      this.error = `You can attach up to ${MAX_ATTACHED_IMAGES} images`;
+      this.notifyListeners();
+      return [];
+    }
+
+    this.processingCount++;
+    this.error = null;
+    this.notifyListeners();
+
+    // Another paste or drop may be adding images too, so room is checked per image
+    const added = [];
+    let skipped = 0;
+    for (const file of candidates) {
+      if (this.images.length >= MAX_ATTACHED_IMAGES) {
+        skipped++;
+        continue;
+      }
+      try {
+        const image = await prepareImage(file);
+        if (this.images.length >= MAX_ATTACHED_IMAGES) {
+          skipped++;
+          continue;
+        }
+        this.images = [...this.images, image];
+        added.push(image);
+      } catch (error) {
+        console.log(`❌ Failed to prepare image: ${error.message}`);
+        this.error = error.message;
+      }
+    }
+    if (skipped > 0) {
+      this.error = `You can attach up to ${MAX_ATTACHED_IMAGES} images`;
+    }
+
+    this.processingCount--;
+    this.notifyListeners();
+    return added;
+  }
+
+  removeImage(id) {
+    this.images = this.images.filter(image => image.id !== id);
+    this.error = null;
+    this.notifyListeners();
+  }
+
+  clearImages() {
+    this.images = [];
+    this.error = null;
+    this.notifyListeners();
+  }
+
   // Observable pattern for React components
   subscribe(callback) {
     this.listeners.add(callback);
@@ -34,7 +161,10 @@ class ImageInputManager {
     this.listeners.forEach(callback => {
       callback({
         selectedImage: this.selectedImage,
-        isPickerPresented: this.isPickerPresented
+        isPickerPresented: this.isPickerPresented,
+        images: this.images,
+        isProcessing: this.isProcessing,
+        error: this.error
       });
     });
   }
@@ -44,7 +174,10 @@ class ImageInputManager {
 export const useImageInputManager = () => {
   const [state, setState] = useState({
     selectedImage: null,
-    isPickerPresented: false
+    isPickerPresented: false,
+    images: [],
+    isProcessing: false,
+    error: null
   });
 
   const managerRef = useRef(null);
@@ -59,7 +192,10 @@ export const useImageInputManager = () => {
     // Initialize state
     setState({
       selectedImage: managerRef.current.selectedImage,
-      isPickerPresented: managerRef.current.isPickerPresented
+      isPickerPresented: managerRef.current.isPickerPresented,
+      images: managerRef.current.images,
+      isProcessing: managerRef.current.isProcessing,
+      error: managerRef.current.error
     });
 
     return unsubscribe;
@@ -77,57 +213,62 @@ export const useImageInputManager = () => {
     managerRef.current?.clearSelectedImage();
   }, []);
 
+  const addImages = React.useCallback((files) => {
+    return managerRef.current?.addImages(files) ?? Promise.resolve([]);
+  }, []);
+
+  const removeImage = React.useCallback((id) => {
+    managerRef.current?.removeImage(id);
+  }, []);
+
+  const clearImages = React.useCallback(() => {
+    managerRef.current?.clearImages();
+  }, []);
+
   return {
     selectedImage: state.selectedImage,
     isPickerPresented: state.isPickerPresented,
+    images: state.images,
+    isProcessing: state.isProcessing,
+    error: state.error,
     setSelectedImage,
     setIsPickerPresented,
-    clearSelectedImage
+    clearSelectedImage,
+    addImages,
+    removeImage,
+    clearImages
   };
 };
 
-// ImagePicker component equivalent
-export const ImagePicker = ({ manager, onImageSelected, children }) => {
+// ImagePicker component equivalent. With onFilesSelected the raw files are
+// handed over (e.g. to useImageInputManager().addImages); otherwise the first
+// image is prepared and reported through manager / onImageSelected.
+export const ImagePicker = ({ manager, onImageSelected, onFilesSelected, multiple = false, disabled = false, children }) => {
   const fileInputRef = useRef(null);
 
-  const handleFileSelect = (event) => {
-    const file = event.target.files?.[0];
-    if (file && file.type.startsWith('image/')) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const imageData = e.target.result;
-        const img = new Image();
-        img.onload = () => {
-          // Create image object with necessary properties
-          const imageObj = {
-            data: imageData,
-            width: img.width,
-            height: img.height,
-            file: file,
-            name: file.name,
-            size: file.size,
-            type: file.type
-          };
-          
-          if (manager) {
-            manager.setSelectedImage(imageObj);
-          }
-          
-          if (onImageSelected) {
-            onImageSelected(imageObj);
-          }
-        };
-        img.src = imageData;
-      };
-      reader.readAsDataURL(file);
-    }
-    
+  const handleFileSelect = async (event) => {
+    const files = Array.from(event.target.files || []);
     // Reset input value to allow selecting the same file again
     event.target.value = '';
+
+    if (onFilesSelected) {
+      onFilesSelected(files);
+      return;
+    }
+
+    const file = files.find(f => f.type.startsWith('image/'));
+    if (!file) return;
+    try {
+      const imageObj = await prepareImage(file);
+      manager?.setSelectedImage(imageObj);
+      onImageSelected?.(imageObj);
+    } catch (error) {
+      console.log(`❌ Failed to prepare image: ${error.message}`);
+    }
   };
 
   const triggerFilePicker = () => {
-    fileInputRef.current?.click();
+    if (!disabled) fileInputRef.current?.click();
   };
 
   return (
@@ -136,10 +277,11 @@ export const ImagePicker = ({ manager, onImageSelected, children }) => {
         ref={fileInputRef}
         type="file"
         accept="image/*"
+        multiple={multiple}
         onChange={handleFileSelect}
         style={{ display: 'none' }}
       />
-      <div onClick={triggerFilePicker} style={{ cursor: 'pointer' }}>
+      <div onClick={triggerFilePicker} style={{ cursor: disabled ? 'default' : 'pointer', opacity: disabled ? 0.5 : 1 }}>
         {children || (
           <div className="flex items-center justify-center p-2 rounded-lg hover:bg-gray-100 transition-colors">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
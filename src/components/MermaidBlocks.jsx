@@ -0,0 +1,192 @@
+// MermaidBlocks.js - Finds Mermaid diagrams in answers, fenced or not
+//
+// Models sometimes write a diagram as bare text instead of in a ```mermaid
+// fence. A paragraph opening with a diagram header line is a candidate;
+// Mermaid's own parser decides whether it is a diagram and where it ends (the
+// longest run of paragraphs that parses). Diagrams found this way are fenced
+// for the markdown renderer.
+//
+// While an answer streams, a diagram that is not complete yet (its fence not
+// closed, or its first paragraph still being written) is fenced as
+// "```mermaid-pending", which MermaidDiagram shows as a placeholder. Once the
+// block is complete it renders, once. (A language rather than fence meta, as
+// the sanitizer keeps only the code element's class.)
+
+import { useEffect, useState } from 'react';
+import mermaid from 'mermaid';
+
+// The keyword opening each diagram type (Mermaid 10)
+const DIAGRAM_KEYWORDS = [
+  'graph', 'flowchart', 'flowchart-elk', 'sequenceDiagram', 'classDiagram', 'classDiagram-v2',
+  'stateDiagram', 'stateDiagram-v2', 'erDiagram', 'journey', 'gantt', 'pie', 'quadrantChart',
+  'requirementDiagram', 'gitGraph', 'C4Context', 'C4Container', 'C4Component', 'C4Dynamic',
+  'C4Deployment', 'mindmap', 'timeline', 'sankey-beta', 'xychart-beta', 'block-beta'
+];
+
+// A keyword alone on its line, or one followed by what only a diagram puts
+// there, so prose like "Pie charts…" or "Graph theory…" is not parsed
+const DIAGRAM_HEADER = new RegExp([
+  `^ {0,3}(?:${DIAGRAM_KEYWORDS.join('|')})\\s*$`,
+  '^ {0,3}(?:graph|flowchart(?:-elk)?)\\s+(?:TB|TD|BT|RL|LR)(?:\\s|;|$)',
+  '^ {0,3}pie\\s+(?:showData|title)(?:\\s|$)',
+  '^ {0,3}xychart-beta\\s+(?:horizontal|vertical)\\s*$'
+].join('|'));
+const CODE_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)/;
+const HEADING = /^ {0,3}#{1,6}(?:\s|$)/;
+
+// Paragraphs a bare diagram may span (blank lines inside diagrams are rare)
+const MAX_PARAGRAPHS = 8;
+const SYNTAX_CACHE_SIZE = 200;
+
+/** Fence language of a diagram that is still being written. */
+export const PENDING_LANGUAGE = 'mermaid-pending';
+
+// Parse results by diagram text: true or false, or a promise while parsing
+const syntaxCache = new Map();
+
+const checkSyntax = (text) => {
+  if (!syntaxCache.has(text)) {
+    const check = mermaid.parse(text, { suppressErrors: true })
+      .then(valid => valid === true, () => false)
+      .then((valid) => {
+        syntaxCache.set(text, valid);
+        return valid;
+      });
+    syntaxCache.set(text, check);
+    if (syntaxCache.size > SYNTAX_CACHE_SIZE) syntaxCache.delete(syntaxCache.keys().next().value);
+  }
+  return syntaxCache.get(text);
+};
+
+// true / false once parsed, undefined until then
+const knownSyntax = (text) => {
+  const result = syntaxCache.get(text);
+  return typeof result === 'boolean' ? result : undefined;
+};
+
+const isClosingFence = (line, opening) => {
+  const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/)?.[1];
+  return !!fence && fence[0] === opening[0] && fence.length >= opening.length;
+};
+
+const isBlank = (line) => line.trim() === '';
+
+/**
+ * Where a bare diagram starting at line `start` ends: { end, pending }, or
+ * null when it is not a diagram. Texts not parsed yet are added to
+ * `unchecked`; until they are, the diagram is pending.
+ */
+const findDiagram = (lines, start, isStreaming, unchecked, lookup) => {
+  // Candidate ends: after each paragraph, up to a heading, a fence or the end
+  const ends = [];
+  let j = start + 1;
+  let reachedEnd = false;
+  while (ends.length < MAX_PARAGRAPHS) {
+    if (j >= lines.length) {
+      if (!isBlank(lines[j - 1])) ends.push(j);
+      reachedEnd = true;
+      break;
+    }
+    const stop = CODE_FENCE.test(lines[j]) || HEADING.test(lines[j]);
+    if ((stop || isBlank(lines[j])) && !isBlank(lines[j - 1])) ends.push(j);
+    if (stop) break;
+    j++;
+  }
+
+  // While streaming, the paragraph at the end may still grow
+  const open = isStreaming && reachedEnd;
+  const complete = open ? ends.slice(0, -1) : ends;
+
+  for (let k = complete.length - 1; k >= 0; k--) {
+    const text = lines.slice(start, complete[k]).join('\n');
+    const valid = lookup(text);
+    if (valid === undefined) {
+      unchecked.push(text);
+      return { end: ends[ends.length - 1], pending: true };
+    }
+    if (valid) return { end: complete[k], pending: false };
+  }
+
+  // A first paragraph still being written; once complete it has to parse
+  if (open && complete.length === 0) return { end: ends[0] ?? lines.length, pending: true };
+  return null;
+};
+
+/**
+ * `markdown` with bare diagrams fenced as ```mermaid and incomplete ones
+ * (while streaming) as ```mermaid-pending. `unchecked` lists diagram texts
+ * whose syntax is not known yet (see useMermaidBlocks); `lookup` tells what
+ * is known about a text.
+ */
+export const fenceMermaidBlocks = (markdown, isStreaming = false, lookup = knownSyntax) => {
+  const lines = markdown.split('\n');
+  const output = [];
+  const unchecked = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(CODE_FENCE);
+    if (fence) {
+      const close = lines.findIndex((candidate, j) => j > i && isClosingFence(candidate, fence[1]));
+      const end = close === -1 ? lines.length : close + 1;
+      const block = lines.slice(i, end);
+      if (fence[2] === 'mermaid' && close === -1 && isStreaming) block[0] = line.replace('mermaid', PENDING_LANGUAGE);
+      output.push(...block);
+      i = end;
+      continue;
+    }
+
+    const startsBlock = i === 0 || isBlank(lines[i - 1]) || HEADING.test(lines[i - 1]);
+    if (startsBlock && DIAGRAM_HEADER.test(line)) {
+      const diagram = findDiagram(lines, i, isStreaming, unchecked, lookup);
+      if (diagram) {
+        output.push(`\`\`\`${diagram.pending ? PENDING_LANGUAGE : 'mermaid'}`, ...lines.slice(i, diagram.end), '```');
+        i = diagram.end;
+        continue;
+      }
+    }
+
+    output.push(line);
+    i++;
+  }
+
+  return { markdown: output.join('\n'), unchecked };
+};
+
+/**
+ * fenceMermaidBlocks() for a finished text, once every candidate is parsed.
+ * Results are kept here too, as the shared cache may evict them meanwhile.
+ */
+export const fenceCheckedMermaidBlocks = async (markdown) => {
+  const results = new Map();
+  const lookup = (text) => (results.has(text) ? results.get(text) : knownSyntax(text));
+  for (;;) {
+    const { markdown: fenced, unchecked } = fenceMermaidBlocks(markdown, false, lookup);
+    if (unchecked.length === 0) return fenced;
+    for (const text of unchecked) results.set(text, await checkSyntax(text));
+  }
+};
+
+/**
+ * fenceMermaidBlocks() for a component: candidates are parsed in the
+ * background and the component renders again once they are known.
+ */
+export const useMermaidBlocks = (markdown, isStreaming = false) => {
+  const [, setCheckedCount] = useState(0);
+  const { markdown: fenced, unchecked } = fenceMermaidBlocks(markdown || '', isStreaming);
+  // A new array every render; the effect runs again only when its texts change
+  const uncheckedKey = unchecked.join('\n\u0000');
+
+  useEffect(() => {
+    if (!uncheckedKey) return;
+    const texts = uncheckedKey.split('\n\u0000');
+    let cancelled = false;
+    Promise.all(texts.map(checkSyntax)).then(() => {
+      if (!cancelled) setCheckedCount(n => n + 1);
+    });
+    return () => { cancelled = true; };
+  }, [uncheckedKey]);
+
+  return fenced;
+};
@@ -0,0 +1,343 @@
+// MermaidDiagram.js - Mermaid diagrams in answers
+//
+// Diagrams render in Mermaid's strict security mode: no scripts, click
+// handlers or raw HTML from the diagram text reach the page. They take the
+// app's light or dark palette and render again when the theme changes. A
+// toolbar zooms and pans, shows or copies the source, and downloads the
+// diagram as SVG or PNG.
+//
+// A diagram still being written (see MermaidBlocks) shows as a placeholder.
+// Rendered SVGs are cached, so a diagram rendered while its answer streamed
+// shows at once when the finished message replaces the stream.
+
+import React, { useState, useEffect, useRef } from 'react';
+import mermaid from 'mermaid';
+import { ZoomIn, ZoomOut, RotateCcw, Code2, Copy, Check, Download, ImageDown } from 'lucide-react';
+import { downloadBlob } from './Extensions';
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.25;
+const PNG_SCALE = 2;
+const SVG_CACHE_SIZE = 50;
+
+mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+
+// Mermaid's 'base' theme is the only one that takes themeVariables
+const themeVariables = (theme, isDark) => ({
+  darkMode: isDark,
+  background: theme.backgroundSurface,
+  fontFamily: 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", sans-serif',
+  primaryColor: isDark ? '#25313A' : '#E6EDF1',
+  primaryTextColor: theme.textPrimary,
+  primaryBorderColor: theme.accentSoftBlue,
+  secondaryColor: isDark ? '#2A2F36' : '#F1F3F5',
+  tertiaryColor: theme.backgroundPrimary,
+  lineColor: theme.textSecondary,
+  textColor: theme.textPrimary,
+  mainBkg: isDark ? '#25313A' : '#E6EDF1',
+  nodeBorder: theme.accentSoftBlue,
+  clusterBkg: theme.backgroundPrimary,
+  edgeLabelBackground: theme.backgroundSurface,
+  noteBkgColor: isDark ? '#3A3524' : '#FFF7DB',
+  noteTextColor: theme.textPrimary
+});
+
+let renderQueue = Promise.resolve();
+let renderCount = 0;
+const svgCache = new Map(); // `${isDark}:${code}` -> SVG string
+
+// Exported pages are light whatever the app's theme (see ChatExport)
+const EXPORT_THEME = {
+  backgroundPrimary: '#F9FAFB',
+  backgroundSurface: '#FFFFFF',
+  textPrimary: '#1D2939',
+  textSecondary: '#667085',
+  accentSoftBlue: '#4A6B7D'
+};
+
+/**
+ * Render `code` to an SVG string with the palette for `isDark`. Mermaid's
+ * configuration is global, so renders run one at a time, each with its own.
+ * On-screen renders are cached (`cache`).
+ */
+const renderMermaid = (code, theme, isDark, { cache = true } = {}) => {
+  const run = async () => {
+    const id = `mermaid-${++renderCount}`;
+    mermaid.initialize({
+      startOnLoad: false,
+      securityLevel: 'strict',
+      theme: 'base',
+      themeVariables: themeVariables(theme, isDark),
+      // SVG text labels instead of HTML in <foreignObject>, which would keep the PNG export from reading the canvas
+      htmlLabels: false,
+      flowchart: { useMaxWidth: true, htmlLabels: false }
+    });
+    try {
+      return (await mermaid.render(id, code)).svg;
+    } finally {
+      // A failed render leaves its scratch element (and an error graphic) in <body>
+      document.getElementById(`d${id}`)?.remove();
+      document.getElementById(id)?.remove();
+    }
+  };
+  const result = renderQueue.then(run, run);
+  renderQueue = result.catch(() => {});
+  return result.then((svg) => {
+    if (!cache) return svg;
+    svgCache.set(`${isDark}:${code}`, svg);
+    if (svgCache.size > SVG_CACHE_SIZE) svgCache.delete(svgCache.keys().next().value);
+    return svg;
+  });
+};
+
+/** `code` as an SVG for an exported page, in the light palette. */
+export const renderExportDiagram = (code) => renderMermaid(code, EXPORT_THEME, false, { cache: false });
+
+// The diagram's type ("flowchart", "sequenceDiagram", …) for file names
+const diagramKind = (code) => code.match(/^\s*(?:%%.*\n\s*)*([A-Za-z][\w-]*)/)?.[1] || 'diagram';
+
+/** Draw an SVG string onto a canvas at `scale` over `background`, as a PNG blob. */
+const svgToPng = (svg, background, scale = PNG_SCALE) => new Promise((resolve, reject) => {
+  const root = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+  const box = root.viewBox?.baseVal;
+  const width = box?.width || parseFloat(root.getAttribute('width')) || 800;
+  const height = box?.height || parseFloat(root.getAttribute('height')) || 600;
+  // Fixed size instead of useMaxWidth's "100%", which has no size outside the page
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.removeAttribute('style');
+
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The diagram could not be converted to PNG'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('The diagram could not be converted to PNG'));
+  // A data URL, not a blob URL, so the canvas is not tainted in Safari
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(root))}`;
+});
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+const ToolbarButton = ({ label, onClick, disabled = false, active = false, theme, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled}
+    title={label}
+    aria-label={label}
+    aria-pressed={active || undefined}
+    style={{
+      display: 'flex', alignItems: 'center', gap: 4, padding: '4px 6px', borderRadius: 6,
+      border: 'none', background: active ? `${theme.accentSoftBlue}22` : 'transparent',
+      color: active ? theme.accentSoftBlue : theme.textSecondary, fontSize: 11,
+      cursor: disabled ? 'default' : 'pointer', opacity: disabled ? 0.4 : 1
+    }}
+  >
+    {children}
+  </button>
+);
+
+const DiagramPlaceholder = ({ theme }) => (
+  <div
+    role="status"
+    style={{
+      margin: '1rem 0', minHeight: 120, display: 'flex', alignItems: 'center', justifyContent: 'center',
+      borderRadius: 8, border: `1px dashed ${theme.textSecondary}40`, background: theme.backgroundSurface,
+      color: theme.textSecondary, fontSize: 12
+    }}
+  >
+    Drawing diagram…
+  </div>
+);
+
+const MermaidDiagram = ({ children, theme, isDark = false, pending = false }) => {
+  const code = String(children || '').replace(/```mermaid\n?/, '').replace(/\n?```$/, '').trim();
+  const cachedSvg = svgCache.get(`${isDark}:${code}`) ?? null;
+  const [svg, setSvg] = useState(cachedSvg);
+  const [error, setError] = useState(null);
+  const [showSource, setShowSource] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const viewportRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    if (!code || pending) return;
+    if (cachedSvg) {
+      setSvg(cachedSvg);
+      setError(null);
+      return;
+    }
+    let cancelled = false;
+    renderMermaid(code, theme, isDark)
+      .then((result) => {
+        if (cancelled) return;
+        setSvg(result);
+        setError(null);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        console.log(`❌ Mermaid render error: ${e?.message || e}`);
+        setError(e?.message || String(e));
+      });
+    return () => { cancelled = true; };
+  }, [code, theme, isDark, pending, cachedSvg]);
+
+  // ⌘/Ctrl + wheel zooms; a plain wheel keeps scrolling the chat. Not a React
+  // handler: those are passive and cannot stop the page from zooming too.
+  useEffect(() => {
+    const el = viewportRef.current;
+    if (!el) return;
+    const handleWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      setView(v => ({ ...v, zoom: clampZoom(v.zoom * (e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP)) }));
+    };
+    el.addEventListener('wheel', handleWheel, { passive: false });
+    return () => el.removeEventListener('wheel', handleWheel);
+  }, [showSource, error, svg]);
+
+  const zoomBy = (factor) => setView(v => ({ ...v, zoom: clampZoom(v.zoom * factor) }));
+  const resetView = () => setView({ zoom: 1, x: 0, y: 0 });
+
+  // Dragging pans once zoomed in; until then touches scroll the chat
+  const canPan = view.zoom > 1;
+  const handlePointerDown = (e) => {
+    if (!canPan || e.button !== 0) return;
+    dragRef.current = { startX: e.clientX, startY: e.clientY, x: view.x, y: view.y };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView(v => ({ ...v, x: drag.x + e.clientX - drag.startX, y: drag.y + e.clientY - drag.startY }));
+  };
+  const handlePointerUp = () => { dragRef.current = null; };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // Clipboard access denied; the source is still shown with View source
+    }
+  };
+
+  const downloadSVG = () => {
+    downloadBlob(`${diagramKind(code)}.svg`, new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  };
+
+  const downloadPNG = async () => {
+    try {
+      setExportError(null);
+      downloadBlob(`${diagramKind(code)}.png`, await svgToPng(svg, theme.backgroundSurface));
+    } catch (e) {
+      console.log(`❌ Diagram PNG export failed: ${e?.message || e}`);
+      setExportError(e?.message || String(e));
+    }
+  };
+
+  if (pending || (!svg && !error)) return <DiagramPlaceholder theme={theme} />;
+
+  if (error) {
+    return (
+      <div style={{
+        color: theme.errorColor,
+        padding: 12,
+        border: `1px solid ${theme.errorColor}`,
+        borderRadius: 8,
+        background: `${theme.errorColor}15`,
+        fontFamily: 'monospace',
+        fontSize: 12,
+        whiteSpace: 'pre-wrap'
+      }}>
+        <strong>Mermaid Error:</strong> {error}
+        <pre style={{ marginTop: '8px' }}>{code}</pre>
+      </div>
+    );
+  }
+
+  const iconSize = 14;
+
+  return (
+    <div
+      style={{
+        margin: '1rem 0',
+        background: theme.backgroundSurface,
+        borderRadius: 8,
+        border: `1px solid ${theme.textSecondary}25`,
+        overflow: 'hidden'
+      }}
+    >
+      <div
+        role="toolbar"
+        aria-label="Diagram"
+        style={{ display: 'flex', alignItems: 'center', gap: 2, padding: '4px 6px', borderBottom: `1px solid ${theme.textSecondary}25` }}
+      >
+        <ToolbarButton label="Zoom out" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={view.zoom <= MIN_ZOOM} theme={theme}>
+          <ZoomOut size={iconSize} />
+        </ToolbarButton>
+        <span style={{ minWidth: 36, textAlign: 'center', fontSize: 11, color: theme.textSecondary }}>{Math.round(view.zoom * 100)}%</span>
+        <ToolbarButton label="Zoom in" onClick={() => zoomBy(ZOOM_STEP)} disabled={view.zoom >= MAX_ZOOM} theme={theme}>
+          <ZoomIn size={iconSize} />
+        </ToolbarButton>
+        <ToolbarButton label="Reset view" onClick={resetView} disabled={view.zoom === 1 && view.x === 0 && view.y === 0} theme={theme}>
+          <RotateCcw size={iconSize} />
+        </ToolbarButton>
+        <div style={{ flex: 1, minWidth: 8, fontSize: 11, color: theme.errorColor, textAlign: 'right' }}>{exportError}</div>
+        <ToolbarButton label={showSource ? 'Show diagram' : 'View source'} onClick={() => setShowSource(v => !v)} active={showSource} theme={theme}>
+          <Code2 size={iconSize} />
+        </ToolbarButton>
+        <ToolbarButton label="Copy source" onClick={handleCopy} theme={theme}>
+          {copied ? <Check size={iconSize} /> : <Copy size={iconSize} />}
+        </ToolbarButton>
+        <ToolbarButton label="Download SVG" onClick={downloadSVG} theme={theme}>
+          <Download size={iconSize} /> SVG
+        </ToolbarButton>
+        <ToolbarButton label="Download PNG" onClick={downloadPNG} theme={theme}>
+          <ImageDown size={iconSize} /> PNG
+        </ToolbarButton>
+      </div>
+
+      {showSource ? (
+        <pre style={{ margin: 0, padding: '0.75rem 1rem', fontSize: 12, overflow: 'auto', background: 'transparent', color: theme.textPrimary }}>
+          <code>{code}</code>
+        </pre>
+      ) : (
+        <div
+          ref={viewportRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          style={{
+            padding: '1rem', overflow: 'hidden', minHeight: 60,
+            cursor: canPan ? 'grab' : 'default', touchAction: canPan ? 'none' : 'auto', userSelect: canPan ? 'none' : 'auto'
+          }}
+        >
+          <div
+            // Mermaid's strict mode output, already sanitized
+            dangerouslySetInnerHTML={{ __html: svg }}
+            style={{
+              textAlign: 'center',
+              transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+              transformOrigin: 'center top'
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MermaidDiagram;
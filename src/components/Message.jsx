@@ -1,4 +1,8 @@
 // Message.js - Message model with all properties from Swift version
+//
+// Serializes through ChatSchema, like every stored message.
+
+import { parseMessage, serializeMessage } from './ChatSchema';
 
 class Message {
   constructor({
@@ -7,9 +11,10 @@ class Message {
     citations = [],
     inlineCitations = [],
     title = null,
-    wasInClinicalMode = null,
-    wasInReasonMode = null,
-    wasInWriteMode = null
+    mode = 'search',
+    images = [],
+    parentId = null,
+    isActiveBranch = true
   }) {
     this.id = crypto.randomUUID(); // Generate UUID like Swift
     this.role = role; // "user" or "assistant"
@@ -17,17 +22,16 @@ class Message {
     this.citations = citations;
     this.inlineCitations = inlineCitations;
     this.title = title;
-    this.wasInClinicalMode = wasInClinicalMode; // For legacy support
-    this.wasInReasonMode = wasInReasonMode;     // For reasoning mode
-    this.wasInWriteMode = wasInWriteMode;       // For write mode
+    this.mode = mode;                           // "search", "reason" or "write" (see ChatSchema)
+    this.images = images;                       // [{ id, data, width, height, name, type }] attached to a query
     this.timestamp = new Date(); // Add timestamp for React compatibility
+    this.parentId = parentId;                   // Previous message in the conversation tree
+    this.isActiveBranch = isActiveBranch;       // Selected among messages sharing parentId
   }
 
   // Helper computed property to get the current mode
   get currentMode() {
-    if (this.wasInReasonMode === true) return "reason";
-    if (this.wasInWriteMode === true) return "write";
-    return "search";
+    return this.mode;
   }
 
   // Equality check based on ID
@@ -35,39 +39,17 @@ class Message {
     return other && this.id === other.id;
   }
 
-  // Convert to plain object for JSON serialization
+  // Stored form (ChatSchema.serializeMessage)
   toJSON() {
-    return {
-      id: this.id,
-      role: this.role,
-      content: this.content,
-      citations: this.citations,
-      inlineCitations: this.inlineCitations,
-      title: this.title,
-      wasInClinicalMode: this.wasInClinicalMode,
-      wasInReasonMode: this.wasInReasonMode,
-      wasInWriteMode: this.wasInWriteMode,
-      timestamp: this.timestamp.toISOString()
-    };
+    return serializeMessage(this);
   }
 
-  // Create from plain object (for deserialization)
+  // From stored form; legacy mode flags are read too
   static fromJSON(obj) {
-    const message = new Message({
-      role: obj.role,
-      content: obj.content,
-      citations: obj.citations || [],
-      inlineCitations: obj.inlineCitations || [],
-      title: obj.title,
-      wasInClinicalMode: obj.wasInClinicalMode,
-      wasInReasonMode: obj.wasInReasonMode,
-      wasInWriteMode: obj.wasInWriteMode
-    });
-    
-    // Restore ID and timestamp if available
-    if (obj.id) message.id = obj.id;
-    if (obj.timestamp) message.timestamp = new Date(obj.timestamp);
-    
+    const parsed = parseMessage(obj);
+    const message = new Message(parsed);
+    if (parsed.id) message.id = parsed.id;
+    message.timestamp = parsed.timestamp;
     return message;
   }
 
@@ -79,9 +61,10 @@ class Message {
       citations: updates.citations ?? this.citations,
       inlineCitations: updates.inlineCitations ?? this.inlineCitations,
       title: updates.title ?? this.title,
-      wasInClinicalMode: updates.wasInClinicalMode ?? this.wasInClinicalMode,
-      wasInReasonMode: updates.wasInReasonMode ?? this.wasInReasonMode,
-      wasInWriteMode: updates.wasInWriteMode ?? this.wasInWriteMode
+      mode: updates.mode ?? this.mode,
+      images: updates.images ?? this.images,
+      parentId: updates.parentId !== undefined ? updates.parentId : this.parentId,
+      isActiveBranch: updates.isActiveBranch ?? this.isActiveBranch
     });
   }
 }
@@ -182,9 +165,7 @@ export const messageUtils = {
     return new Message({
       role: 'user',
       content,
-      wasInReasonMode: mode === 'reason',
-      wasInWriteMode: mode === 'write',
-      wasInClinicalMode: false // Legacy support
+      mode
     });
   },
 
@@ -205,17 +186,7 @@ export const messageUtils = {
 
   // Get messages by mode
   filterByMode: (messages, mode) => {
-    return messages.filter(msg => {
-      switch (mode) {
-        case 'reason':
-          return msg.wasInReasonMode === true;
-        case 'write':
-          return msg.wasInWriteMode === true;
-        case 'search':
-        default:
-          return !msg.wasInReasonMode && !msg.wasInWriteMode;
-      }
-    });
+    return messages.filter(msg => (msg.mode || 'search') === mode);
   },
 
   // Convert messages array to JSON
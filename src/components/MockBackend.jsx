@@ -0,0 +1,342 @@
+// MockBackend.js - Offline stand-in for the Supabase function
+//
+// Enabled with VITE_MOCK_BACKEND=true, or `?mock=1` in the URL (remembered
+// until `?mock=0`). Streaming queries replay recorded SSE fixtures from
+// src/fixtures through the normal SSEStream path; save_chat, get_chat_history,
+// get_chat, trash_chats, delete_chat(s) and migrate_chats are served from
+// localStorage; describe_chat uses the offline title heuristic.
+//
+// Fixture selection: a query starting with `/fixture <name>` plays that file,
+// otherwise keywords pick one (see FIXTURE_KEYWORDS) and the mode decides.
+// `/status <code>` answers with that HTTP error instead.
+// Fixtures may contain `: delay <ms>` comments (pause between events) and a
+// `: disconnect` comment (drop the connection at that point).
+
+import { safeLocalStorage } from './Extensions';
+import { fetchWithTimeout } from './BackendError';
+import { describeLocally } from './ChatDescriber';
+
+const ENABLED_KEY = 'astra_mock_backend';
+const CHATS_KEY = 'astra_mock_chats';
+const DEFAULT_DELAY_MS = 30;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const fixtureLoaders = import.meta.glob('../fixtures/*.sse', { query: '?raw', import: 'default' });
+
+const fixtureName = (path) => path.split('/').pop().replace(/\.sse$/, '');
+
+const FIXTURE_KEYWORDS = [
+  { pattern: /\b(flowchart|diagram|algorithm|mermaid)\b/i, fixture: 'mermaid' },
+  { pattern: /\b(table|compare|comparison)\b/i, fixture: 'table' },
+  { pattern: /\b(error|fail)\b/i, fixture: 'midstream-error' },
+  { pattern: /\bslow\b/i, fixture: 'slow-tokens' },
+  { pattern: /\b(truncated|no done)\b/i, fixture: 'missing-done' }
+];
+
+const MODE_FIXTURES = {
+  search: 'citations',
+  reason: 'slow-tokens',
+  write: 'table'
+};
+
+let cachedEnabled = null;
+
+// The signed-in user a request's bearer JWT names, like the function's auth check
+const tokenSubject = (headers = {}) => {
+  try {
+    const payload = (headers.Authorization || '').replace(/^Bearer /, '').split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).sub || null;
+  } catch {
+    return null;
+  }
+};
+
+export const isMockBackendEnabled = () => {
+  if (cachedEnabled !== null) return cachedEnabled;
+
+  if (typeof window !== 'undefined') {
+    const param = new URLSearchParams(window.location.search).get('mock');
+    if (param === '1' || param === 'true') safeLocalStorage.setItem(ENABLED_KEY, true);
+    if (param === '0' || param === 'false') safeLocalStorage.removeItem(ENABLED_KEY);
+  }
+
+  const env = import.meta.env?.VITE_MOCK_BACKEND;
+  cachedEnabled = env === 'true' || env === '1' || safeLocalStorage.getItem(ENABLED_KEY, false) === true;
+  if (cachedEnabled) console.log('🧪 Mock backend enabled, no network requests will be made');
+  return cachedEnabled;
+};
+
+export const listFixtures = () => Object.keys(fixtureLoaders).map(fixtureName);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('The operation was aborted.', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('The operation was aborted.', 'AbortError'));
+  }, { once: true });
+});
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// A chat row without its message bodies, as returned for `summary` pages
+const summarizeChat = (chat) => {
+  if (chat.deleted) return chat;
+  const messages = JSON.parse(chat.messages || '[]');
+  const times = messages.map(message => Date.parse(message.timestamp)).filter(Number.isFinite);
+  const summary = {
+    ...chat,
+    message_count: messages.length,
+    last_activity_at: times.length > 0 ? new Date(Math.max(...times)).toISOString() : chat.updated_at
+  };
+  delete summary.messages;
+  return summary;
+};
+
+const tombstone = (chat) => ({ id: chat.id, user_id: chat.user_id, deleted: true, version: (chat.version ?? 0) + 1, updated_at: new Date().toISOString() });
+
+class MockBackend {
+  static shared = new MockBackend();
+
+  constructor() {
+    if (MockBackend.shared) {
+      return MockBackend.shared;
+    }
+  }
+
+  async fetch(url, init = {}) {
+    let body = {};
+    try {
+      body = init.body ? JSON.parse(init.body) : {};
+    } catch {
+      return jsonResponse({ error: { message: 'Invalid JSON body' } }, 400);
+    }
+
+    await sleep(150, init.signal);
+
+    if (body.action) {
+      return this.handleAction(body, tokenSubject(init.headers));
+    }
+
+    // `/status 429` simulates an HTTP failure before the stream starts
+    const status = (body.query || '').match(/^\/status\s+(\d{3})/);
+    if (status) {
+      const code = parseInt(status[1], 10);
+      return new Response(JSON.stringify({ error: { message: `Simulated HTTP ${code}` } }), {
+        status: code,
+        headers: { 'Content-Type': 'application/json', ...(code === 429 ? { 'Retry-After': '10' } : {}) }
+      });
+    }
+
+    return this.streamFixture(this.pickFixture(body), init.signal);
+  }
+
+  pickFixture(body) {
+    const query = body.query || '';
+    const explicit = query.match(/^\/fixture\s+([\w-]+)/);
+    if (explicit) return explicit[1];
+
+    const keyword = FIXTURE_KEYWORDS.find(({ pattern }) => pattern.test(query));
+    if (keyword) return keyword.fixture;
+
+    return MODE_FIXTURES[body.mode] || MODE_FIXTURES.search;
+  }
+
+  async streamFixture(name, signal) {
+    const loader = Object.entries(fixtureLoaders).find(([path]) => fixtureName(path) === name)?.[1];
+    if (!loader) {
+      return jsonResponse({ error: { message: `Unknown fixture "${name}". Available: ${listFixtures().join(', ')}` } }, 404);
+    }
+
+    const raw = await loader();
+    console.log(`🧪 Replaying fixture: ${name}`);
+
+    // Split after each blank line so every chunk ends on an event boundary
+    const blocks = raw.split(/(?<=\n\r?\n)/);
+    const encoder = new TextEncoder();
+
+    const stream = new ReadableStream({
+      async start(controller) {
+        let delay = DEFAULT_DELAY_MS;
+        try {
+          for (const block of blocks) {
+            const directive = block.match(/^: (delay|disconnect)\s*(\d*)/m);
+            if (directive?.[1] === 'delay') delay = parseInt(directive[2], 10) || 0;
+            if (directive?.[1] === 'disconnect') {
+              controller.error(new TypeError('Network connection lost'));
+              return;
+            }
+
+            await sleep(delay, signal);
+            controller.enqueue(encoder.encode(block));
+          }
+          controller.close();
+        } catch (error) {
+          controller.error(error);
+        }
+      }
+    });
+
+    return new Response(stream, {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream' }
+    });
+  }
+
+  // MARK: - Chat history actions
+
+  loadChats() {
+    return safeLocalStorage.getItem(CHATS_KEY, []) || [];
+  }
+
+  storeChats(chats) {
+    safeLocalStorage.setItem(CHATS_KEY, chats);
+  }
+
+  // Chats carry a version stamp bumped on every save; deletes leave a
+  // tombstone so other devices' pulls see them
+  handleAction(body, subject) {
+    switch (body.action) {
+      case 'save_chat':
+        return this.saveChat(body, subject);
+      case 'get_chat_history': {
+        // Oldest change first, a page at a time. The cursor is opaque to
+        // clients; `summary` leaves out message bodies.
+        const limit = body.limit || 50;
+        const page = this.loadChats()
+          .filter(chat => chat.user_id === body.userId)
+          .filter(chat => (body.includeDeleted ? true : !chat.deleted))
+          .map(chat => ({ chat, key: `${chat.updated_at}|${chat.id}` }))
+          .filter(({ key }) => !body.cursor || key > body.cursor)
+          .sort((a, b) => (a.key < b.key ? -1 : 1))
+          .slice(0, limit);
+        // nextCursor marks the end of this page even when it is the last one,
+        // so a later request picks up only newer changes
+        return jsonResponse({
+          success: true,
+          data: page.map(({ chat }) => (body.summary ? summarizeChat(chat) : chat)),
+          nextCursor: page.length > 0 ? page[page.length - 1].key : (body.cursor || null),
+          hasMore: page.length === limit
+        });
+      }
+      case 'get_chat': {
+        const chat = this.loadChats().find(chat => chat.id === body.chatId && chat.user_id === body.userId && !chat.deleted);
+        return chat
+          ? jsonResponse({ success: true, data: chat })
+          : jsonResponse({ success: false, error: { message: 'Chat not found' } }, 404);
+      }
+      case 'describe_chat':
+        return jsonResponse({ success: true, data: describeLocally(body) });
+      case 'trash_chats':
+        return this.trashChats(body);
+      case 'delete_chat': {
+        const chats = this.loadChats();
+        const existing = chats.find(chat => chat.id === body.chatId && chat.user_id === body.userId && !chat.deleted);
+        if (existing) {
+          this.storeChats(chats.map(chat => (chat.id === existing.id ? tombstone(chat) : chat)));
+        }
+        return jsonResponse({ success: !!existing });
+      }
+      case 'delete_chats': {
+        // Chats already gone count as deleted
+        const ids = new Set(body.chatIds || []);
+        this.storeChats(this.loadChats().map(chat => (
+          ids.has(chat.id) && chat.user_id === body.userId && !chat.deleted ? tombstone(chat) : chat
+        )));
+        return jsonResponse({ success: true, data: { deleted: [...ids], failed: [] } });
+      }
+      case 'migrate_chats': {
+        // Chats saved signed out under this browser's anonymous ID move to the
+        // account the token names; chats of other accounts never qualify
+        if (!subject) return jsonResponse({ success: false, error: { message: 'Sign in to move chats' } }, 401);
+        let migrated = 0;
+        this.storeChats(this.loadChats().map(chat => {
+          if (!chat.anonymous || chat.user_id !== body.anonymousId) return chat;
+          migrated++;
+          return { ...chat, user_id: subject, anonymous: false };
+        }));
+        return jsonResponse({ success: true, data: { migrated } });
+      }
+      default:
+        return jsonResponse({ success: false, error: { message: `Unknown action "${body.action}"` } }, 400);
+    }
+  }
+
+  // Upsert by the client's chat ID; a stale baseVersion is a 409 carrying the current copy
+  saveChat(body, subject) {
+    const chats = this.loadChats();
+    const now = new Date().toISOString();
+    const existing = body.chatId && chats.find(chat => chat.id === body.chatId && chat.user_id === body.userId);
+    const currentVersion = existing?.version ?? 0;
+
+    if (existing && body.baseVersion !== undefined && body.baseVersion !== currentVersion) {
+      return jsonResponse({
+        success: false,
+        error: { message: 'Chat was changed on another device', current: existing }
+      }, 409);
+    }
+
+    const record = {
+      id: existing?.id || body.chatId || crypto.randomUUID(),
+      user_id: body.userId,
+      anonymous: !subject,
+      title: body.title,
+      title_edited: !!body.titleEdited,
+      title_generated: !!body.titleGenerated,
+      description: body.description || null,
+      is_pinned: !!body.pinned,
+      folder: body.folder || null,
+      deleted_at: body.deletedAt || null,
+      schema_version: body.schemaVersion ?? 1,
+      messages: JSON.stringify(body.messages || []),
+      is_clinical_mode: !!body.isClinicalMode,
+      version: currentVersion + 1,
+      created_at: (!existing?.deleted && existing?.created_at) || now,
+      updated_at: now
+    };
+    this.storeChats(existing ? chats.map(chat => (chat.id === record.id ? record : chat)) : [record, ...chats]);
+    return jsonResponse({ success: true, data: { id: record.id, version: record.version, updated_at: record.updated_at } });
+  }
+
+  // Move chats to the Trash, or back with `deletedAt: null`, in one request.
+  // Not version-checked: only the trash state changes. Each chat succeeds or
+  // fails on its own; succeeded ones come back as summary rows.
+  trashChats(body) {
+    const requested = new Map((body.chats || []).map(entry => [entry.chatId, entry.deletedAt || null]));
+    const now = new Date().toISOString();
+    const updated = [];
+    const failed = [];
+
+    const chats = this.loadChats().map(chat => {
+      if (!requested.has(chat.id) || chat.user_id !== body.userId || chat.deleted) return chat;
+      const next = { ...chat, deleted_at: requested.get(chat.id), version: (chat.version ?? 0) + 1, updated_at: now };
+      updated.push(next);
+      return next;
+    });
+    requested.forEach((_, id) => {
+      if (!updated.some(chat => chat.id === id)) failed.push({ id, message: 'Chat not found', notFound: true });
+    });
+
+    this.storeChats(chats);
+    return jsonResponse({ success: true, data: { chats: updated.map(summarizeChat), failed } });
+  }
+}
+
+/**
+ * fetch() replacement used by every backend call; routes to the mock when
+ * enabled. `timeout` bounds the wait for response headers, not the body.
+ */
+export const backendFetch = (url, init, { timeout = DEFAULT_TIMEOUT_MS } = {}) => {
+  const fetchImpl = isMockBackendEnabled()
+    ? (u, i) => MockBackend.shared.fetch(u, i)
+    : (u, i) => fetch(u, i);
+  return fetchWithTimeout(fetchImpl, url, init, timeout);
+};
+
+export default MockBackend;
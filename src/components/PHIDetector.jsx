@@ -0,0 +1,164 @@
+// PHIDetector.js - Local detection and redaction of patient identifiers
+//
+// Pattern-based, runs entirely in the browser. It looks for the HIPAA Safe
+// Harbor identifiers that show up in typed case presentations: names, MRNs,
+// phone numbers, emails, street addresses, full dates, SSNs and ages over 89.
+// It is a safety net, not a guarantee; free-text names without a cue
+// ("Mr.", "patient:", "name is") are not detected.
+
+import { getRuntimeConfig } from './RuntimeConfig';
+
+export const PHI_TYPES = {
+  NAME: { label: 'name', plural: 'names', placeholder: 'NAME' },
+  MRN: { label: 'MRN', plural: 'MRNs', placeholder: 'MRN' },
+  PHONE: { label: 'phone number', plural: 'phone numbers', placeholder: 'PHONE' },
+  EMAIL: { label: 'email', plural: 'emails', placeholder: 'EMAIL' },
+  ADDRESS: { label: 'address', plural: 'addresses', placeholder: 'ADDRESS' },
+  DATE: { label: 'full date', plural: 'full dates', placeholder: 'DATE' },
+  SSN: { label: 'SSN', plural: 'SSNs', placeholder: 'SSN' },
+  AGE: { label: 'age over 89', plural: 'ages over 89', placeholder: 'AGE' }
+};
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|Jun(?:e)?|Jul(?:y)?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const NAME_WORD = "[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)*";
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy';
+
+// `group` selects the identifier inside a match that includes its cue word
+const RULES = [
+  { type: 'SSN', pattern: /\b\d{3}[- ]\d{2}[- ]\d{4}\b/g },
+  { type: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'PHONE', pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+  {
+    type: 'MRN',
+    pattern: /\b(?:MRN|MR#|medical record(?: number| no\.?| #)?|chart(?: number| no\.?| #))\s*[:#]?\s*([A-Z]{0,3}\d[\dA-Z-]{3,})\b/gi,
+    group: 1
+  },
+  {
+    type: 'DATE',
+    pattern: new RegExp(
+      [
+        '\\b\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})\\b',          // 03/14/2021, 3-14-21
+        '\\b\\d{4}-\\d{2}-\\d{2}\\b',                                  // 2021-03-14
+        `\\b(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}\\b`,     // March 14, 2021
+        `\\b\\d{1,2}(?:st|nd|rd|th)? (?:of )?(?:${MONTHS})\\.?,? \\d{4}\\b` // 14 March 2021
+      ].join('|'),
+      'gi'
+    )
+  },
+  {
+    type: 'AGE',
+    pattern: /\b((?:9\d|1[0-4]\d))(?:[- ]?(?:y\/?o|yo|years?[- ]old|yrs?[- ]old)\b)/gi,
+    group: 1
+  },
+  { type: 'AGE', pattern: /\b(?:age[ds]?|aged)\s*:?\s*((?:9\d|1[0-4]\d))\b/gi, group: 1 },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(
+      `\\b\\d{1,6}\\s+(?:[NSEW]\\.?\\s+)?(?:${NAME_WORD}\\s+){1,3}(?:${STREET_TYPES})\\.?` +
+      '(?:,?\\s+(?:Apt|Suite|Unit|#)\\.?\\s*\\w+)?' +
+      `(?:,\\s*(?:${NAME_WORD}\\s?){1,3})?(?:,?\\s*[A-Z]{2})?(?:\\s+\\d{5}(?:-\\d{4})?)?`,
+      'g'
+    )
+  },
+  {
+    type: 'NAME',
+    pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx)\\.?\\s+(${NAME_WORD}(?:\\s+${NAME_WORD})?)`, 'g'),
+    group: 1
+  },
+  {
+    type: 'NAME',
+    pattern: new RegExp(
+      `\\b(?:[Pp]atient(?: name)?|[Pp]t|[Nn]ame|[Nn]amed|[Nn]ame is)\\s*[:\\-]?\\s+(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`,
+      'g'
+    ),
+    group: 1
+  }
+];
+
+// Capitalised words that follow a cue but are clinical, not names
+const NOT_NAMES = new Set([
+  'Is', 'Has', 'Was', 'With', 'Who', 'And', 'The', 'Presents', 'Presented', 'Reports', 'Denies', 'Complains',
+  'Male', 'Female', 'Man', 'Woman', 'History', 'Status', 'Admitted', 'Describes'
+]);
+
+const isPlausibleName = (value) => !NOT_NAMES.has(value.split(/\s+/)[0]);
+
+/**
+ * Find identifiers in `text`. Returns non-overlapping matches sorted by
+ * position: [{ type, start, end, value }].
+ */
+export const detectPHI = (text) => {
+  if (!text) return [];
+  const found = [];
+
+  RULES.forEach(({ type, pattern, group = 0 }) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const value = match[group];
+      if (!value) continue;
+      if (type === 'NAME' && !isPlausibleName(value)) continue;
+      const start = match.index + match[0].indexOf(value);
+      found.push({ type, start, end: start + value.length, value });
+    }
+  });
+
+  // Earliest first, longest first on ties; drop anything overlapping a kept match
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const matches = [];
+  found.forEach(candidate => {
+    const last = matches[matches.length - 1];
+    if (!last || candidate.start >= last.end) matches.push(candidate);
+  });
+  return matches;
+};
+
+const normalizeValue = (type, value) => (
+  type === 'PHONE' || type === 'SSN' ? value.replace(/\D/g, '') : value.toLowerCase().replace(/\s+/g, ' ')
+);
+
+/**
+ * Replace matches with numbered placeholders such as [NAME-1]. The same value
+ * always gets the same placeholder; pass the returned `placeholders` back in
+ * to keep numbering consistent across a conversation.
+ */
+export const redactPHI = (text, matches = detectPHI(text), placeholders = {}) => {
+  const assigned = { ...placeholders };
+  const counts = {};
+  Object.values(assigned).forEach(placeholder => {
+    const [, prefix, n] = placeholder.match(/^\[(\w+)-(\d+)\]$/) || [];
+    if (prefix) counts[prefix] = Math.max(counts[prefix] || 0, parseInt(n, 10));
+  });
+
+  let redacted = '';
+  let cursor = 0;
+  matches.forEach(({ type, start, end, value }) => {
+    const key = `${type}:${normalizeValue(type, value)}`;
+    if (!assigned[key]) {
+      const prefix = PHI_TYPES[type].placeholder;
+      counts[prefix] = (counts[prefix] || 0) + 1;
+      assigned[key] = `[${prefix}-${counts[prefix]}]`;
+    }
+    redacted += text.slice(cursor, start) + assigned[key];
+    cursor = end;
+  });
+  redacted += text.slice(cursor);
+
+  return { text: redacted, placeholders: assigned };
+};
+
+/** "2 names, 1 MRN" style summary for warnings. */
+export const summarizePHI = (matches) => {
+  const counts = {};
+  matches.forEach(({ type }) => { counts[type] = (counts[type] || 0) + 1; });
+  return Object.entries(counts)
+    .map(([type, n]) => `${n} ${n > 1 ? PHI_TYPES[type].plural : PHI_TYPES[type].label}`)
+    .join(', ');
+};
+
+// Organizations with a signed BAA run with PHI mode enabled (`phiMode` in
+// RuntimeConfig); detection then only warns instead of asking for
+// de-identification before sending.
+export const isPHIModeEnabled = () => getRuntimeConfig().phiMode === true;
+
+export default detectPHI;
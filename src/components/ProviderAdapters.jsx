@@ -0,0 +1,424 @@
+// ProviderAdapters.js - Backend provider adapters used by PerplexityClient/SSEStream
+//
+// An adapter owns everything that differs between backends:
+//   buildRequest(cfg, stream)   -> { url, method, headers, body }
+//   createDecoder(onMessage)    -> { push(text), end() } turning raw chunks into messages
+//   decodeMessage(message)      -> { content, citations, done, error, event, malformed }
+//   extractCitations(raw)       -> Citation[]
+//   mapError(status, bodyText, headers) -> BackendError
+//   parseAnswer(json)           -> string (non-streaming responses)
+
+import { SSEParser } from './SSEStream';
+import { getRuntimeConfig, registerConfigValidator } from './RuntimeConfig';
+import { BackendError, ErrorKind, classifyStatus } from './BackendError';
+
+
+export class Citation {
+  constructor(number, title, url, authors) {
+    this.number = number;
+    this.title = title;
+    this.url = url;
+    this.authors = authors;
+  }
+}
+
+export const extractTitle = (url) => {
+  const hostname = url.hostname?.toLowerCase() || '';
+
+  if (hostname.includes('pubmed')) {
+    return 'PubMed';
+  } else if (hostname.includes('pmc')) {
+    return 'PMC Article';
+  } else if (hostname.includes('dynamed')) {
+    return 'DynaMed';
+  } else if (hostname.includes('heart.org')) {
+    return 'American Heart Association';
+  } else if (hostname.includes('wikipedia')) {
+    return 'Wikipedia';
+  }
+  return url.hostname || 'External Link';
+};
+
+// System prompts for backends that do not apply Astra's modes server-side
+const MODE_PROMPTS = {
+  search: 'You are Astra, a clinical evidence assistant for healthcare professionals. Answer with concise, well-structured markdown and cite sources as [n] when you use them.',
+  reason: 'You are Astra, a clinical reasoning assistant. For the case presented, give a ranked differential diagnosis with supporting and opposing features and the next best diagnostic steps.',
+  write: 'You are Astra, a clinical documentation assistant. Write a problem-based assessment and plan for the case outlined, organised by problem.'
+};
+
+const decodeJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+const emptyResult = () => ({ content: null, citations: null, done: false, error: null, event: null, malformed: false });
+
+/**
+ * Base adapter: SSE transport, Astra's citation formats and `{ error: { message } }`
+ * error bodies. Concrete adapters override request building and chunk decoding.
+ */
+export class ProviderAdapter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get id() {
+    return 'base';
+  }
+
+  buildRequest() {
+    throw new Error(`${this.constructor.name} does not implement buildRequest`);
+  }
+
+  createDecoder(onMessage) {
+    const parser = new SSEParser((event) => {
+      // Backends that omit the blank line between events end up with several
+      // JSON documents joined into one multi-line data field
+      if (event.type === 'message' && event.data.includes('\n') && decodeJSON(event.data) === undefined) {
+        event.data.split('\n').forEach(data => onMessage({ ...event, data }));
+        return;
+      }
+      onMessage(event);
+    });
+    return {
+      push: (text) => parser.push(text),
+      end: () => parser.end(),
+      get lastEventId() { return parser.lastEventId; },
+      get retryDelay() { return parser.reconnectionTime; }
+    };
+  }
+
+  // Named SSE events are passed through to the UI; `error` and `citations` are
+  // also understood by every adapter
+  decodeNamedEvent(message) {
+    const result = emptyResult();
+    const payload = decodeJSON(message.data) ?? message.data;
+    result.event = { type: message.type, data: payload, id: message.id };
+
+    if (message.type === 'citations') {
+      result.citations = Array.isArray(payload) ? payload : payload?.citations || null;
+    } else if (message.type === 'error') {
+      const status = payload?.error?.status || payload?.status;
+      const message = payload?.error?.message || payload?.message || (typeof payload === 'string' && payload) || 'Unknown error';
+      result.error = status ? classifyStatus(status, message) : new BackendError(ErrorKind.SERVER, message);
+    }
+    return result;
+  }
+
+  decodeMessage(message) {
+    if (message.type !== 'message') return this.decodeNamedEvent(message);
+
+    const result = emptyResult();
+    if (message.data === '[DONE]') {
+      result.done = true;
+      return result;
+    }
+    if (!message.data.trim()) return result;
+
+    const json = decodeJSON(message.data);
+    if (json === undefined) {
+      console.log(`❌ Undecodable chunk: ${message.data.substring(0, 100)}`);
+      result.malformed = true;
+      return result;
+    }
+    if (json.error) {
+      result.error = new BackendError(ErrorKind.SERVER, json.error.message || String(json.error));
+      return result;
+    }
+    return this.decodeChunk(json, result);
+  }
+
+  decodeChunk(json, result) {
+    return result;
+  }
+
+  extractCitations(raw) {
+    if (!Array.isArray(raw) || raw.length === 0) return [];
+
+    if (typeof raw[0] === 'object') {
+      // Structured citations (from Tavily via backend)
+      return raw.map(citationDict => {
+        if (citationDict && citationDict.number && citationDict.title && citationDict.url) {
+          let authors = citationDict.authors;
+          if (!authors) {
+            try {
+              authors = new URL(citationDict.url).hostname;
+            } catch {
+              authors = 'Unknown';
+            }
+          }
+          return new Citation(citationDict.number, citationDict.title, citationDict.url, authors);
+        }
+        return null;
+      }).filter(Boolean);
+    }
+
+    // Fallback to simple URL array
+    return raw.map((urlString, i) => {
+      try {
+        const url = new URL(urlString);
+        return new Citation(i + 1, extractTitle(url), urlString, url.hostname || 'Unknown');
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  mapError(status, bodyText, headers = null) {
+    const json = decodeJSON(bodyText);
+    const message = json?.error?.message || json?.message || json?.error;
+    return classifyStatus(status, typeof message === 'string' ? message : null, headers);
+  }
+
+  parseAnswer(json) {
+    return json?.content || null;
+  }
+
+  // Chat-completions style message list shared by the generic adapters
+  buildMessages(cfg) {
+    const messages = [{ role: 'system', content: MODE_PROMPTS[cfg.currentMode] || MODE_PROMPTS.search }];
+    if (cfg.contextSummary) {
+      messages.push({ role: 'system', content: `Summary of earlier conversation:\n${cfg.contextSummary}` });
+    }
+    cfg.history.forEach(m => messages.push({ role: m.role, content: m.content }));
+    messages.push(this.buildUserMessage(cfg));
+    if (cfg.continueFrom) {
+      messages.push({ role: 'assistant', content: cfg.continueFrom });
+      messages.push({ role: 'user', content: 'Continue your previous answer exactly where it stopped. Do not repeat any text already written.' });
+    }
+    return messages;
+  }
+
+  // The query turn; attached images use OpenAI-style content parts
+  buildUserMessage(cfg) {
+    if (!cfg.images?.length) return { role: 'user', content: cfg.query };
+    return {
+      role: 'user',
+      content: [
+        { type: 'text', text: cfg.query },
+        ...cfg.images.map(image => ({ type: 'image_url', image_url: { url: image.data } }))
+      ]
+    };
+  }
+}
+
+/** Astra's own Supabase edge function (`quick-api`); url and apiKey come from RuntimeConfig. */
+export class SupabaseFunctionAdapter extends ProviderAdapter {
+  get id() {
+    return 'supabase';
+  }
+
+  buildRequest(cfg, stream) {
+    const authToken = this.options.authToken || this.options.apiKey;
+    const headers = {
+      'Authorization': `Bearer ${authToken}`,
+      'Content-Type': 'application/json',
+      'apikey': this.options.apiKey
+    };
+
+    if (stream) {
+      headers['Accept'] = 'text/event-stream';
+    }
+
+    const body = JSON.stringify({
+      query: cfg.query,
+      isClinical: cfg.isClinical,
+      isReason: cfg.isReason,
+      isWrite: cfg.isWrite,
+      mode: cfg.currentMode,
+      stream: stream,
+      // Prior turns carry their own mode; the flags above apply to this query only
+      history: cfg.history,
+      contextSummary: cfg.contextSummary,
+      // Set when resuming a stopped answer; the function continues this text
+      continueFrom: cfg.continueFrom || undefined,
+      // JPEG data URLs, already downscaled and stripped of metadata
+      images: cfg.images?.length ? cfg.images.map(({ data, type }) => ({ data, type })) : undefined
+    });
+
+    return {
+      url: this.options.url,
+      method: 'POST',
+      headers: headers,
+      body: body
+    };
+  }
+
+  // The function relays Perplexity chunks (`choices[].delta`, top-level
+  // `citations`) and emits its own `{ content }` / `{ text }` chunks for Tavily results
+  decodeChunk(json, result) {
+    result.citations = Array.isArray(json.citations) ? json.citations : null;
+    result.content = json.choices?.[0]?.delta?.content
+      || json.choices?.[0]?.message?.content
+      || json.content
+      || json.text
+      || null;
+    return result;
+  }
+
+  parseAnswer(json) {
+    return json.choices?.[0]?.message?.content || json.content || json.text || null;
+  }
+}
+
+/** Any OpenAI-compatible `/chat/completions` endpoint (LiteLLM, vLLM, internal gateways). */
+export class OpenAICompatibleAdapter extends ProviderAdapter {
+  get id() {
+    return 'openai';
+  }
+
+  buildRequest(cfg, stream) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (this.options.apiKey) {
+      headers['Authorization'] = `Bearer ${this.options.apiKey}`;
+    }
+    if (stream) {
+      headers['Accept'] = 'text/event-stream';
+    }
+
+    const baseUrl = (this.options.url || '').replace(/\/+$/, '');
+    return {
+      url: baseUrl.endsWith('/chat/completions') ? baseUrl : `${baseUrl}/chat/completions`,
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.options.model,
+        messages: this.buildMessages(cfg),
+        stream
+      })
+    };
+  }
+
+  // Perplexity-style gateways add `citations` or `search_results` to chunks
+  decodeChunk(json, result) {
+    if (Array.isArray(json.citations)) {
+      result.citations = json.citations;
+    } else if (Array.isArray(json.search_results)) {
+      result.citations = json.search_results.map((r, i) => ({ number: i + 1, title: r.title, url: r.url }));
+    }
+    result.content = json.choices?.[0]?.delta?.content || null;
+    return result;
+  }
+
+  parseAnswer(json) {
+    return json.choices?.[0]?.message?.content || null;
+  }
+}
+
+/** Local Ollama-style server streaming newline-delimited JSON from `/api/chat`. */
+export class OllamaAdapter extends ProviderAdapter {
+  get id() {
+    return 'ollama';
+  }
+
+  buildRequest(cfg, stream) {
+    const baseUrl = (this.options.url || 'http://localhost:11434').replace(/\/+$/, '');
+    return {
+      url: `${baseUrl}/api/chat`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': stream ? 'application/x-ndjson' : 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.options.model || 'llama3.1',
+        messages: this.buildMessages(cfg),
+        stream
+      })
+    };
+  }
+
+  // Ollama takes bare base64 images on the message itself
+  buildUserMessage(cfg) {
+    const message = { role: 'user', content: cfg.query };
+    if (cfg.images?.length) {
+      message.images = cfg.images.map(image => image.data.replace(/^data:[^,]*,/, ''));
+    }
+    return message;
+  }
+
+  createDecoder(onMessage) {
+    let buffer = '';
+    const emit = (line) => {
+      if (line.trim()) onMessage({ type: 'message', data: line, id: '' });
+    };
+    return {
+      push: (text) => {
+        buffer += text;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(emit);
+      },
+      end: () => {
+        emit(buffer);
+        buffer = '';
+      },
+      lastEventId: '',
+      retryDelay: null
+    };
+  }
+
+  decodeChunk(json, result) {
+    result.content = json.message?.content || null;
+    result.done = json.done === true;
+    return result;
+  }
+
+  parseAnswer(json) {
+    return json.message?.content || null;
+  }
+}
+
+const adapterRegistry = {
+  supabase: (options) => new SupabaseFunctionAdapter(options),
+  openai: (options) => new OpenAICompatibleAdapter(options),
+  ollama: (options) => new OllamaAdapter(options)
+};
+
+/**
+ * Provider options from RuntimeConfig. The supabase provider streams from the
+ * same edge function as chat history; other providers use providerUrl.
+ */
+export const getProviderConfig = (config = getRuntimeConfig()) => {
+  if (config.provider === 'supabase') {
+    return { provider: 'supabase', url: config.apiUrl, apiKey: config.apiKey, authToken: config.authToken };
+  }
+  return {
+    provider: config.provider,
+    url: config.providerUrl,
+    apiKey: config.providerApiKey,
+    authToken: config.authToken,
+    model: config.providerModel
+  };
+};
+
+registerConfigValidator((config) => {
+  const errors = [];
+  const warnings = [];
+  if (!adapterRegistry[config.provider]) {
+    errors.push(`Unknown provider "${config.provider}". Available: ${Object.keys(adapterRegistry).join(', ')}`);
+  } else if (config.provider === 'supabase' && !config.apiKey && !config.authToken) {
+    errors.push(`"apiKey" is required for the supabase provider (profile "${config.profile}")`);
+  } else if (config.provider === 'openai' && !config.providerUrl) {
+    errors.push('"providerUrl" is required for the openai provider');
+  } else if (config.provider === 'openai' && !config.providerModel) {
+    warnings.push('"providerModel" is not set; the gateway must pick a default model');
+  }
+  return { errors, warnings };
+});
+
+export const createProviderAdapter = (config = getProviderConfig()) => {
+  const { provider, ...options } = config;
+  const factory = adapterRegistry[provider];
+  if (!factory) {
+    throw new Error(`Unknown provider "${provider}". Available: ${Object.keys(adapterRegistry).join(', ')}`);
+  }
+  return factory(options);
+};
+
+export default createProviderAdapter;
@@ -1,30 +1,171 @@
-class Citation {
-  constructor(number, title, url, authors) {
-    this.number = number;
-    this.title = title;
-    this.url = url;
-    this.authors = authors;
+import { backendFetch } from './MockBackend';
+import { BackendError, ErrorKind, classifyError } from './BackendError';
+
+// A stream that goes this long without any bytes is treated as stalled
+const STREAM_IDLE_TIMEOUT_MS = 60000;
+
+/**
+ * Incremental Server-Sent Events parser following the WHATWG event-stream
+ * format: BOM stripping, CR / LF / CRLF line endings, comment lines, and the
+ * `event`, `data`, `id` and `retry` fields. Multi-line `data:` fields are
+ * joined with "\n" and dispatched on a blank line.
+ */
+export class SSEParser {
+  constructor(onEvent, onComment = null) {
+    this.onEvent = onEvent;
+    this.onComment = onComment;
+    this.buffer = "";
+    this.checkedBOM = false;
+    this.skipLeadingLF = false;
+    this.lastEventId = "";
+    this.reconnectionTime = null;
+    this.resetEvent();
+  }
+
+  resetEvent() {
+    this.eventType = "";
+    this.data = "";
+    this.hasData = false;
+  }
+
+  push(chunk) {
+    if (!chunk) return;
+    let text = chunk;
+
+    // A CR at the end of the previous chunk may be the first half of a CRLF
+    if (this.skipLeadingLF) {
+      this.skipLeadingLF = false;
+      if (text[0] === '\n') text = text.slice(1);
+    }
+
+    if (!this.checkedBOM && text.length > 0) {
+      this.checkedBOM = true;
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    }
+
+    const buffer = this.buffer + text;
+    let lineStart = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (char !== '\r' && char !== '\n') continue;
+
+      const line = buffer.slice(lineStart, i);
+      if (char === '\r') {
+        if (i + 1 < buffer.length) {
+          if (buffer[i + 1] === '\n') i++;
+        } else {
+          this.skipLeadingLF = true;
+        }
+      }
+      this.processLine(line);
+      lineStart = i + 1;
+    }
+
+    this.buffer = buffer.slice(lineStart);
+  }
+
+  // Flush whatever is left once the connection closes. The spec discards an
+  // event that was never terminated by a blank line, but several backends
+  // close the stream straight after their last `data:` line, so we dispatch it.
+  end() {
+    if (this.buffer) {
+      this.processLine(this.buffer);
+      this.buffer = "";
+    }
+    this.dispatch();
+  }
+
+  processLine(line) {
+    if (line === "") {
+      this.dispatch();
+      return;
+    }
+
+    if (line[0] === ':') {
+      this.onComment?.(line.slice(1).replace(/^ /, ''));
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value[0] === ' ') value = value.slice(1);
+
+    switch (field) {
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'data':
+        this.data += value + '\n';
+        this.hasData = true;
+        break;
+      case 'id':
+        if (!value.includes('\u0000')) this.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) this.reconnectionTime = parseInt(value, 10);
+        break;
+      default:
+        // Unknown fields are ignored per spec
+        break;
+    }
+  }
+
+  dispatch() {
+    if (!this.hasData) {
+      this.resetEvent();
+      return;
+    }
+
+    const event = {
+      type: this.eventType || 'message',
+      data: this.data.endsWith('\n') ? this.data.slice(0, -1) : this.data,
+      id: this.lastEventId
+    };
+    this.resetEvent();
+    this.onEvent(event);
   }
 }
 
+/**
+ * Streams a backend response through a provider adapter (see ProviderAdapters).
+ * The adapter turns raw chunks into messages and messages into content,
+ * citations, completion and errors; named events reach the UI via onEvent.
+ */
 class SSEStream {
-  constructor(request, shouldCollectCitations, onText, onDone) {
-    this.buffer = "";
+  constructor(request, adapter, shouldCollectCitations, onText, onDone, onEvent = null) {
+    this.adapter = adapter;
     this.onText = onText;
     this.onDone = onDone;
+    this.onEvent = onEvent;
     this.shouldCollectCitations = shouldCollectCitations;
     this.isCompleted = false;
     this.httpStatusCode = 200;
     this.collectedCitations = [];
     this.hasReceivedContent = false;
+    this.malformedCount = 0;
+    this.idleTimer = null;
     this.abortController = new AbortController();
+    this.decoder = adapter.createDecoder((message) => this.handleMessage(message));
 
     this.startStream(request);
   }
 
+  // Last `id:` and `retry:` values seen on the stream
+  get lastEventId() {
+    return this.decoder.lastEventId;
+  }
+
+  get retryDelay() {
+    return this.decoder.retryDelay;
+  }
+
   async startStream(request) {
+    const { signal } = this.abortController;
+    let stopReading = null;
     try {
-      const response = await fetch(request.url, {
+      const response = await backendFetch(request.url, {
         method: request.method,
         headers: request.headers,
         body: request.body,
@@ -33,159 +174,95 @@ class SSEStream {
 
       this.httpStatusCode = response.status;
       console.log(`📡 HTTP Status: ${response.status}`);
-      
+
       if (response.status >= 300) {
         console.log(`⚠️ HTTP Error Status: ${response.status}`);
         const errorText = await response.text();
-        this.handleErrorResponse(errorText);
+        this.completeWithError(this.adapter.mapError(response.status, errorText, response.headers));
+        return;
+      }
+
+      if (!response.body) {
+        this.completeWithError(new BackendError(ErrorKind.MALFORMED, 'Response has no body', { status: response.status }));
         return;
       }
 
       const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+      const textDecoder = new TextDecoder();
+      // backendFetch stops following our signal once the headers arrive
+      stopReading = () => reader.cancel().catch(() => {});
+      signal.addEventListener('abort', stopReading, { once: true });
+      if (signal.aborted) stopReading();
 
       while (true) {
+        this.resetIdleTimer();
         const { done, value } = await reader.read();
-        
+
         if (done) {
-          console.log('🔚 Stream completed');
+          if (signal.aborted) break;
+          this.decoder.push(textDecoder.decode());
           this.handleStreamComplete();
           break;
         }
 
-        const chunk = decoder.decode(value, { stream: true });
-        console.log(`📥 Received chunk: ${chunk.substring(0, 100)}...`);
-
-        // Handle error responses
-        if (this.httpStatusCode >= 300 && chunk.includes('"error"') && !chunk.startsWith('data:')) {
-          this.handleErrorResponse(chunk);
-          return;
+        this.decoder.push(textDecoder.decode(value, { stream: true }));
+        if (this.isCompleted) {
+          reader.cancel().catch(() => {});
+          break;
         }
-
-        this.buffer += chunk;
-        this.processBuffer();
       }
     } catch (error) {
       if (error.name !== 'AbortError') {
         console.log(`❌ Stream error:`, error);
-        this.completeWithError(error);
+        this.completeWithError(classifyError(error));
       }
+    } finally {
+      clearTimeout(this.idleTimer);
+      if (stopReading) signal.removeEventListener('abort', stopReading);
     }
   }
 
-  handleErrorResponse(string) {
-    console.log(`❌ Handling error response: ${string}`);
-    try {
-      const json = JSON.parse(string);
-      const message = json.error?.message || 'Unknown error';
-      this.completeWithError(new Error(message));
-    } catch {
-      this.completeWithError(new Error('Bad server response'));
-    }
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.completeWithError(new BackendError(ErrorKind.TIMEOUT, 'The response stream stalled'));
+      this.abortController.abort();
+    }, STREAM_IDLE_TIMEOUT_MS);
   }
 
-  processBuffer() {
-    const lines = this.buffer.split(/\r?\n/);
-    const endsWithNewline = this.buffer.endsWith('\n') || this.buffer.endsWith('\r\n');
+  handleMessage(message) {
+    if (this.isCompleted) return;
 
-    if (endsWithNewline) {
-      lines.forEach(line => {
-        if (line.trim()) {
-          this.processLine(line);
-        }
-      });
-      this.buffer = "";
-    } else if (lines.length > 1) {
-      lines.slice(0, -1).forEach(line => {
-        if (line.trim()) {
-          this.processLine(line);
-        }
-      });
-      this.buffer = lines[lines.length - 1] || "";
-    }
-  }
+    const result = this.adapter.decodeMessage(message);
+    if (result.malformed) this.malformedCount++;
 
-  processLine(line) {
-    const trimmed = line.trim();
-    if (!trimmed || !trimmed.startsWith('data:')) {
-      console.log(`🔍 Skipping non-data line: ${trimmed.substring(0, 50)}`);
-      return;
+    if (result.citations) {
+      this.collectCitations(result.citations);
     }
 
-    const payload = trimmed.substring(5).trim();
-    console.log(`🔄 Processing payload: ${payload.substring(0, 100)}...`);
-
-    // ONLY complete on explicit [DONE] marker
-    if (payload === '[DONE]') {
-      console.log('✅ Received [DONE] marker, completing stream');
-      this.completeStream();
-      return;
+    if (result.content) {
+      this.hasReceivedContent = true;
+      this.onText(result.content);
     }
 
-    if (!payload) {
-      console.log('⚠️ Empty payload, continuing...');
-      return;
+    if (result.event) {
+      this.onEvent?.(result.event);
     }
 
-    try {
-      const json = JSON.parse(payload);
-
-      // Handle Tavily citations properly
-      if (this.shouldCollectCitations && this.collectedCitations.length === 0) {
-        // Try structured citations first (from Tavily via backend)
-        if (json.citations && Array.isArray(json.citations)) {
-          console.log(`📚 Processing ${json.citations.length} structured Tavily citations`);
-          this.collectedCitations = json.citations.map(citationDict => {
-            if (typeof citationDict === 'object' && citationDict.number && citationDict.title && citationDict.url) {
-              const authors = citationDict.authors || new URL(citationDict.url).hostname || 'Unknown';
-              return new Citation(citationDict.number, citationDict.title, citationDict.url, authors);
-            }
-            return null;
-          }).filter(Boolean);
-          console.log(`✅ Collected ${this.collectedCitations.length} structured citations`);
-        }
-        // Fallback to simple URL array
-        else if (Array.isArray(json.citations)) {
-          console.log(`📚 Processing ${json.citations.length} URL citations (fallback)`);
-          this.collectedCitations = json.citations.map((urlString, i) => {
-            try {
-              const url = new URL(urlString);
-              return new Citation(i + 1, this.extractTitle(url), urlString, url.hostname || 'Unknown');
-            } catch {
-              return null;
-            }
-          }).filter(Boolean);
-          console.log(`✅ Collected ${this.collectedCitations.length} URL citations`);
-        }
-      }
-
-      // Extract streaming content
-      let content = null;
-      
-      if (json.choices?.[0]?.delta?.content) {
-        content = json.choices[0].delta.content;
-        console.log(`📝 Extracted delta content: ${content.substring(0, 50)}...`);
-      } else if (json.choices?.[0]?.message?.content) {
-        content = json.choices[0].message.content;
-        console.log(`📝 Extracted message content: ${content.substring(0, 50)}...`);
-      } else if (json.content) {
-        content = json.content;
-        console.log(`📝 Extracted direct content: ${content.substring(0, 50)}...`);
-      } else if (json.text) {
-        content = json.text;
-        console.log(`📝 Extracted text content: ${content.substring(0, 50)}...`);
-      }
-
-      // Send content if found
-      if (content && content.length > 0) {
-        this.hasReceivedContent = true;
-        this.onText(content);
-      } else {
-        console.log(`⚠️ No content found in JSON:`, json);
-      }
+    if (result.error) {
+      this.completeWithError(result.error);
+    } else if (result.done) {
+      console.log('✅ Received end-of-stream marker, completing stream');
+      this.completeStream();
+    }
+  }
 
-    } catch (error) {
-      console.log(`❌ JSON parsing error:`, error);
+  collectCitations(raw) {
+    // Citations are only collected once, on the first chunk that carries them
+    if (!this.shouldCollectCitations || this.collectedCitations.length > 0) return;
+    this.collectedCitations = this.adapter.extractCitations(raw);
+    if (this.collectedCitations.length > 0) {
+      console.log(`📚 Collected ${this.collectedCitations.length} citations`);
     }
   }
 
@@ -211,18 +288,9 @@ class SSEStream {
 
   handleStreamComplete() {
     console.log('🔚 Stream task completed');
-    
-    // Process any remaining buffer
-    if (this.buffer.trim()) {
-      console.log(`🧹 Processing remaining buffer: ${this.buffer.substring(0, 100)}...`);
-      const lines = this.buffer.split(/\r?\n/);
-      lines.forEach(line => {
-        const trimmed = line.trim();
-        if (trimmed) {
-          this.processLine(line);
-        }
-      });
-    }
+
+    // Dispatch any event the server did not terminate with a blank line
+    this.decoder.end();
 
     // Only complete if not already completed
     if (!this.isCompleted) {
@@ -231,33 +299,18 @@ class SSEStream {
         this.completeStream();
       } else {
         console.log('⚠️ Task completed but no content received');
-        this.completeWithError(new Error('No content received'));
+        const detail = this.malformedCount > 0 ? `${this.malformedCount} undecodable chunks` : 'no content received';
+        this.completeWithError(new BackendError(ErrorKind.MALFORMED, `Malformed stream: ${detail}`));
       }
     }
   }
 
-  extractTitle(url) {
-    const hostname = url.hostname?.toLowerCase() || '';
-    
-    if (hostname.includes('pubmed')) {
-      return 'PubMed';
-    } else if (hostname.includes('pmc')) {
-      return 'PMC Article';
-    } else if (hostname.includes('dynamed')) {
-      return 'DynaMed';
-    } else if (hostname.includes('heart.org')) {
-      return 'American Heart Association';
-    } else if (hostname.includes('wikipedia')) {
-      return 'Wikipedia';
-    }
-    return url.hostname || 'External Link';
-  }
-
   cancel() {
     console.log('🛑 Cancelling stream');
+    clearTimeout(this.idleTimer);
     this.abortController.abort();
     this.isCompleted = true;
   }
 }
 
-export default SSEStream;
\ No newline at end of file
+export default SSEStream;
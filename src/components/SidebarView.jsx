@@ -1,6 +1,21 @@
 import React, { useState } from 'react';
 import { X, Plus, Info, Trash2 } from 'lucide-react';
 import AboutView from './AboutView';
+import { groupChatSessions } from './ChatHistoryManager';
+
+const RECENT_LIMIT = 5;
+
+// The first `limit` chats, keeping their sections
+const limitGroups = (groups, limit) => {
+  let remaining = limit;
+  return groups
+    .map(group => {
+      const sessions = group.sessions.slice(0, remaining);
+      remaining -= sessions.length;
+      return { ...group, sessions };
+    })
+    .filter(group => group.sessions.length > 0);
+};
 
 // Helper function for relative time formatting
 const timeAgo = (date) => {
@@ -66,11 +81,19 @@ const PopupChatRow = ({ session, onSelect, theme }) => {
         >
           {session.title}
         </div>
+        {session.description && (
+          <div 
+            className="text-xs truncate"
+            style={{ color: theme.textSecondary }}
+          >
+            {session.description}
+          </div>
+        )}
         <div 
           className="text-xs"
           style={{ color: theme.textSecondary }}
         >
-          {timeAgo(session.createdAt || session.timestamp)}
+          {timeAgo(session.lastActivityAt || session.createdAt || session.timestamp)}
         </div>
       </div>
     </button>
@@ -83,16 +106,21 @@ const SidebarView = ({
   onDismiss,
   chatHistory, 
   onSelectChat, 
-  onDeleteChat, 
+  onClearHistory, 
   onNewChat, 
   theme 
 }) => {
   const [showAbout, setShowAbout] = useState(false);
+  const [confirmClear, setConfirmClear] = useState(false);
 
+  // First tap asks; the second moves every chat to the Trash in one go
   const handleClearHistory = () => {
-    if (chatHistory && chatHistory.length > 0) {
-      chatHistory.forEach(session => onDeleteChat(session));
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
     }
+    setConfirmClear(false);
+    onClearHistory();
     onDismiss();
   };
 
@@ -178,7 +206,7 @@ const SidebarView = ({
                 {chatHistory && chatHistory.length > 0 && (
                   <PopupMenuItem
                     icon={Trash2}
-                    title="Clear History"
+                    title={confirmClear ? 'Move all chats to Trash?' : 'Clear History'}
                     isDestructive={true}
                     onClick={handleClearHistory}
                     theme={theme}
@@ -194,26 +222,28 @@ const SidebarView = ({
                     style={{ borderColor: `${theme.textSecondary}20` }}
                   />
                   
-                  <div className="py-2">
-                    <div className="px-4 py-2">
-                      <h3 
-                        className="text-sm font-semibold"
-                        style={{ color: theme.textPrimary }}
-                      >
-                        Recent
-                      </h3>
-                    </div>
-                    
-                    <div className="max-h-50 overflow-y-auto">
-                      {chatHistory.slice(0, 5).map((session) => (
-                        <PopupChatRow
-                          key={session.id}
-                          session={session}
-                          onSelect={() => handleSelectChat(session)}
-                          theme={theme}
-                        />
-                      ))}
-                    </div>
+                  <div className="py-2 max-h-50 overflow-y-auto">
+                    {limitGroups(groupChatSessions(chatHistory), RECENT_LIMIT).map((group) => (
+                      <div key={group.key}>
+                        <div className="px-4 py-2">
+                          <h3 
+                            className="text-sm font-semibold"
+                            style={{ color: theme.textPrimary }}
+                          >
+                            {group.label}
+                          </h3>
+                        </div>
+                        
+                        {group.sessions.map((session) => (
+                          <PopupChatRow
+                            key={session.id}
+                            session={session}
+                            onSelect={() => handleSelectChat(session)}
+                            theme={theme}
+                          />
+                        ))}
+                      </div>
+                    ))}
                   </div>
                 </>
               )}